@@ -0,0 +1,155 @@
+/*
+Heap size and lookup latency of the packed prefix store (lib/store.js)
+compared with the layout it replaced: an array of prefix buffers per origin
+ASN, and set members as separate strings. The old layout is rebuilt here
+rather than run from the old code.
+
+    node --expose-gc bench/store.js [route objects] [as-sets]
+
+The data is synthetic (a few origins with many prefixes, most with a few,
+like the IRRs), 500000 IPv4 route objects and 50000 as-sets by default.
+*/
+
+var PrefixStore = require('../lib/store').PrefixStore;
+var intern = require('../lib/store').intern;
+
+var ROUTES = parseInt(process.argv[2], 10) || 500000;
+var SETS = parseInt(process.argv[3], 10) || 50000;
+var ORIGINS = Math.max(1, Math.floor(ROUTES / 8));
+var LOOKUPS = 200000;
+
+if (!global.gc) {
+    console.log('Run with node --expose-gc to get comparable heap sizes');
+    process.exit(1);
+}
+
+// Deterministic pseudo random numbers, so runs can be compared
+var seed = 1;
+var random = function() {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x80000000;
+};
+
+// Origin ASN, skewed towards low numbers
+var origin = function() {
+    return 64512 + Math.floor(Math.pow(random(), 3) * ORIGINS);
+};
+
+var prefix = function() {
+    var len = 16 + Math.floor(random() * 9);
+    var buf = new Buffer(5);
+    buf.writeUInt32BE((Math.floor(random() * 0xffffffff) >>> (32 - len)) << (32 - len) >>> 0, 0);
+    buf[4] = len;
+    return buf;
+};
+
+var memory = function() {
+    global.gc();
+    global.gc();
+    var usage = process.memoryUsage();
+    return usage.heapUsed + (usage.arrayBuffers || usage.external);
+};
+
+var mb = function(bytes) {
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+};
+
+// Build with build(), report the memory it holds on to, then time lookup()
+// for each of keys
+var measure = function(name, build, lookup, keys, unit) {
+    var before = memory();
+    var started = Date.now();
+    var data = build();
+    var buildTime = Date.now() - started;
+    var used = memory() - before;
+    var hrtime = process.hrtime();
+    var touched = 0;
+    for (var i = 0; i < keys.length; i++) {
+        touched += lookup(data, keys[i]);
+    }
+    hrtime = process.hrtime(hrtime);
+    var latency = (hrtime[0] * 1e9 + hrtime[1]) / keys.length / 1000;
+    console.log('  ' + name + ': ' + mb(used) + ', built in ' + buildTime + 'ms, ' + latency.toFixed(2) + 'us per lookup (' + touched + ' ' + unit + ' read)');
+    return data;
+};
+
+var routes = [];
+for (var i = 0; i < ROUTES; i++) {
+    routes.push([origin(), prefix()]);
+}
+var asns = [];
+for (i = 0; i < LOOKUPS; i++) {
+    asns.push(origin());
+}
+
+// A lookup reads every byte of the prefixes, as formatting them does
+var readAll = function(prefixes) {
+    if (!prefixes) return 0;
+    var sum = 0;
+    for (var j = 0; j < prefixes.length; j++) {
+        for (var k = 0; k < prefixes[j].length; k++) {
+            sum += prefixes[j][k];
+        }
+    }
+    return sum >= 0 ? prefixes.length : 0;
+};
+
+console.log(ROUTES + ' route objects of ' + ORIGINS + ' possible origins, ' + LOOKUPS + ' lookups');
+measure('per-ASN arrays', function() {
+    var asnv4 = {};
+    routes.forEach(function(route) {
+        var copy = new Buffer(5);
+        route[1].copy(copy);
+        if (!asnv4[route[0]]) asnv4[route[0]] = [];
+        asnv4[route[0]].push(copy);
+    });
+    return asnv4;
+}, function(asnv4, asn) {
+    return readAll(asnv4[asn]);
+}, asns, 'prefixes');
+measure('PrefixStore', function() {
+    var store = new PrefixStore(5);
+    routes.forEach(function(route) {
+        store.add(route[0], route[1]);
+    });
+    store.compact();
+    return store;
+}, function(store, asn) {
+    return readAll(store.get(asn));
+}, asns, 'prefixes');
+
+// As-sets with 1 to 20 members out of a pool of ASNs and set names, parsed
+// from text like the RPSL members attribute
+var names = [];
+for (i = 0; i < SETS; i++) {
+    names.push('AS-SET' + i);
+}
+var lines = [];
+for (i = 0; i < SETS; i++) {
+    var members = [];
+    var count = 1 + Math.floor(random() * 20);
+    for (var j = 0; j < count; j++) {
+        members.push((random() < 0.8) ? 'AS' + origin() : names[Math.floor(random() * SETS)]);
+    }
+    lines.push(members.join(', '));
+}
+var setNames = names.slice(0, LOOKUPS);
+console.log(SETS + ' as-sets');
+var split = function(map) {
+    return function() {
+        var macros = {};
+        lines.forEach(function(line, n) {
+            macros[names[n]] = line.split(',').map(function(member) {
+                return map(member.trim().toUpperCase());
+            });
+        });
+        return macros;
+    };
+};
+var memberCount = function(macros, name) {
+    return macros[name].length;
+};
+measure('separate strings', split(function(member) {
+    return member;
+}), memberCount, setNames, 'members');
+measure('interned strings', split(intern), memberCount, setNames, 'members');
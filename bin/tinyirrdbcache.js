@@ -0,0 +1,422 @@
+/*
+Offline command line tool for .tiny cache files: works on the files directly,
+without starting the cache or fetching anything.
+
+    node bin/tinyirrdbcache.js query [options] <name> <file.tiny>...
+    node bin/tinyirrdbcache.js inspect <file.tiny>...
+    node bin/tinyirrdbcache.js load [--name <db>] [--serial <n>] <dump.db[.gz]> <file.tiny>
+    node bin/tinyirrdbcache.js diff [--quiet] <old.tiny> <new.tiny>
+
+query expands an as-set, route-set or ASN like the cache does, with the
+files as the sources in the order given, each named after its file
+(ripe.tiny is the database ripe, source RIPE). inspect reads a file, checks
+its contents and prints its serial and object counts. load parses an RPSL
+dump (gzipped if the name ends in .gz) into a cache file. diff lists the
+route objects and sets that differ between two files.
+
+Exit codes, for cron jobs and scripts generating filters:
+  0  success; diff: no differences
+  1  diff: the files differ
+  2  invalid arguments
+  3  query: the set was not found
+  4  a file could not be read or written
+  5  a cache file is corrupt or inconsistent
+*/
+
+var
+    fs = require('fs'),
+    path = require('path'),
+    cachefile = require('../lib/cachefile'),
+    expand = require('../lib/expand').expand,
+    parseAsn = require('../lib/expand').parseAsn,
+    Filter = require('../lib/filters').Filter,
+    validEntry = require('../lib/filters').validEntry,
+    formats = require('../lib/formats'),
+    TinyIRRDBCache = require('../lib/cache').TinyIRRDBCache,
+    address = require('../lib/address'),
+    v42str = address.v42str,
+    v62str = address.v62str;
+
+var EXIT_OK = 0;
+var EXIT_DIFFERENT = 1;
+var EXIT_USAGE = 2;
+var EXIT_NOT_FOUND = 3;
+var EXIT_IO = 4;
+var EXIT_CORRUPT = 5;
+
+// Problems found by inspect beyond the first ones are only counted
+var MAX_PROBLEMS = 20;
+
+var usage = function() {
+    return [
+        'usage: node bin/tinyirrdbcache.js <command> [options] <arguments>',
+        '',
+        '  query [options] <name> <file.tiny>...   expand a set or ASN and print its prefixes',
+        '      --family <4|6>                     address family (default 4)',
+        '      --format <format>                  ' + 'json, ' + formats.names.join(', ') + ' (default text)',
+        '      --list-name <name>                 name of the prefix list (default ' + formats.DEFAULT_NAME + ')',
+        '      --exclude <list>                   comma separated ASNs, prefixes and sets to leave out',
+        '      --bogons                           leave out martian and reserved address space',
+        '      --reserved-asns                    leave out the route objects of reserved ASNs',
+        '  inspect <file.tiny>...                  check cache files, print serial and object counts',
+        '  load [options] <dump> <file.tiny>       build a cache file from an RPSL dump (.db or .db.gz)',
+        '      --name <db>                        database name (default: the dump file name up to the first dot)',
+        '      --serial <n>                       serial of the dump (default 0)',
+        '  diff [--quiet] <old.tiny> <new.tiny>    list what differs between two cache files',
+        '',
+        'exit codes: 0 ok, 1 files differ, 2 invalid arguments, 3 set not found, 4 read/write error,',
+        '5 corrupt cache file'
+    ].join('\n');
+};
+
+var fail = function(code, msg) {
+    var err = new Error(msg);
+    err.exitCode = code;
+    return err;
+};
+
+// Options of a command: flag -> 'value' (takes a value) or 'switch'. Returns
+// { options: { flag: value or true }, args: [] }
+var parseArgs = function(argv, spec) {
+    var res = { options: {}, args: [] };
+    for (var i = 0; i < argv.length; i++) {
+        var m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!m) {
+            res.args.push(argv[i]);
+            continue;
+        }
+        if (!spec[m[1]]) throw fail(EXIT_USAGE, 'Unknown option: --' + m[1]);
+        if (spec[m[1]] == 'switch') {
+            if (m[2] !== undefined) throw fail(EXIT_USAGE, '--' + m[1] + ' takes no value');
+            res.options[m[1]] = true;
+            continue;
+        }
+        var value = m[2];
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw fail(EXIT_USAGE, 'Missing value for --' + m[1]);
+            value = argv[++i];
+        }
+        res.options[m[1]] = value;
+    }
+    return res;
+};
+
+// Database name of a file: its name up to the first dot
+var dbNameOf = function(file) {
+    return path.basename(file).split('.')[0];
+};
+
+// cb(err, db) with the error's exit code set
+var readCacheFile = function(file, cb) {
+    cachefile.read(file, function(err, db) {
+        if (err) {
+            var code = (err.code == 'ECORRUPT') ? EXIT_CORRUPT : EXIT_IO;
+            return cb(fail(code, file + ': ' + err.message));
+        }
+        cb(null, db);
+    });
+};
+
+// Read all files into { dbName: db }
+var readCacheFiles = function(files, cb) {
+    var databases = {};
+    var next = function(i) {
+        if (i >= files.length) return cb(null, databases);
+        readCacheFile(files[i], function(err, db) {
+            if (err) return cb(err);
+            databases[dbNameOf(files[i])] = db;
+            next(i + 1);
+        });
+    };
+    next(0);
+};
+
+var query = function(argv, cb) {
+    var parsed = parseArgs(argv, { family: 'value', format: 'value', 'list-name': 'value', exclude: 'value', bogons: 'switch', 'reserved-asns': 'switch' });
+    var opts = parsed.options;
+    if (parsed.args.length < 2) throw fail(EXIT_USAGE, 'query needs a set or ASN and at least one cache file');
+    var family = Number(opts.family || 4);
+    if (family != 4 && family != 6) throw fail(EXIT_USAGE, '--family must be 4 or 6');
+    var format = opts.format || 'text';
+    if (format != 'json' && !formats.isFormat(format)) throw fail(EXIT_USAGE, 'Unknown format ' + format + '; one of json, ' + formats.names.join(', '));
+    if (opts['list-name'] !== undefined && !formats.isName(opts['list-name'])) throw fail(EXIT_USAGE, 'Invalid list name ' + opts['list-name']);
+    var exclude = opts.exclude ? opts.exclude.split(',') : [];
+    exclude.forEach(function(entry) {
+        if (!validEntry(entry)) throw fail(EXIT_USAGE, 'Not an ASN, prefix or set name: ' + entry);
+    });
+    var filter = new Filter({ exclude: exclude, bogons: !!opts.bogons, reservedAsns: !!opts['reserved-asns'] });
+    var name = parsed.args[0].toUpperCase();
+    var files = parsed.args.slice(1);
+    var dbConfig = {};
+    var sources = files.map(function(file) {
+        var dbName = dbNameOf(file);
+        if (dbConfig[dbName]) throw fail(EXIT_USAGE, 'Two cache files for database ' + dbName);
+        dbConfig[dbName] = { intName: dbName.toUpperCase() };
+        return dbName;
+    });
+    readCacheFiles(files, function(err, databases) {
+        if (err) return cb(err);
+        var result = expand(databases, dbConfig, sources, name, family, filter);
+        if (parseAsn(name) === null && result.missing.indexOf(name) >= 0) {
+            return cb(fail(EXIT_NOT_FOUND, name + ' not found in ' + sources.join(', ')));
+        }
+        result.missing.forEach(function(set) {
+            console.error('warning: ' + set + ' not found');
+        });
+        var seen = {};
+        var prefixes = [];
+        result.routes.forEach(function(route) {
+            var entry = { prefix: (family == 6) ? v62str(route.prefix) : v42str(route.prefix), ge: route.ge, le: route.le };
+            var str = formats.toString(entry);
+            if (seen[str]) return;
+            seen[str] = true;
+            prefixes.push((route.ge === undefined) ? entry.prefix : entry);
+        });
+        if (format == 'json') {
+            console.log(JSON.stringify({ name: name, sources: sources, prefixes: prefixes.map(formats.toString), asns: result.asns,
+                sets: result.macros, setSources: result.sources, missing: result.missing, excluded: result.excluded }, null, 2));
+            return cb(null, EXIT_OK);
+        }
+        if (!formats.supportsRanges(format) && prefixes.some(function(entry) { return typeof entry != 'string'; })) {
+            return cb(fail(EXIT_USAGE, 'Format ' + format + ' can not express the range operators in ' + name + '; use juniper-route-filter.'));
+        }
+        process.stdout.write(formats.format(format, opts['list-name'], family, prefixes));
+        cb(null, EXIT_OK);
+    });
+};
+
+// Problems in the contents of a database that decoded fine: prefix lengths
+// beyond the family's and prefixes with host bits set
+var checkDatabase = function(db) {
+    var problems = [];
+    ['asnv4', 'asnv6'].forEach(function(family) {
+        var max = (family == 'asnv4') ? 32 : 128;
+        db[family].forEach(function(prefix, asn) {
+            var len = prefix[prefix.length - 1];
+            if (len > max) {
+                problems.push('route object for AS' + asn + ' with prefix length ' + len);
+                return;
+            }
+            var copy = new Buffer(prefix);
+            if (address.normalise(copy)) problems.push('route object ' + address.ip2str(prefix) + ' AS' + asn + ' has host bits set');
+        });
+    });
+    return problems;
+};
+
+var count = function(obj) {
+    return Object.keys(obj || {}).length;
+};
+
+var inspectFile = function(file, cb) {
+    fs.stat(file, function(err, stat) {
+        if (err) return cb(fail(EXIT_IO, file + ': ' + err.message));
+        readCacheFile(file, function(err, db) {
+            if (err) {
+                console.log(err.message);
+                return cb(err);
+            }
+            var v4 = db.asnv4.packed();
+            var v6 = db.asnv6.packed();
+            console.log(file + ':');
+            console.log('  format version  ' + db.version + ((db.version < cachefile.VERSION) ? ' (rewritten in version ' + cachefile.VERSION + ' when the cache imports it)' : ''));
+            console.log('  serial          ' + db.serial + (db.session ? ' (NRTMv4 session ' + db.session + ')' : ''));
+            console.log('  size            ' + stat.size + ' bytes');
+            console.log('  as-sets         ' + count(db.macros));
+            console.log('  route-sets      ' + count(db.routeSets));
+            console.log('  route           ' + db.asnv4.count + ' (' + v4.asns.length + ' origins)');
+            console.log('  route6          ' + db.asnv6.count + ' (' + v6.asns.length + ' origins)');
+            console.log('  member-of       ' + count(db.autnums) + ' aut-nums, ' + count(db.routeMembers) + ' route objects');
+            console.log('  mbrs-by-ref     ' + count(db.mbrsByRef) + ' sets');
+            console.log('  provenance      ' + count(db.provenance) + ' objects');
+            var problems = checkDatabase(db);
+            problems.slice(0, MAX_PROBLEMS).forEach(function(problem) {
+                console.log('  problem: ' + problem);
+            });
+            if (problems.length > MAX_PROBLEMS) console.log('  ... and ' + (problems.length - MAX_PROBLEMS) + ' more problems');
+            cb(problems.length > 0 ? fail(EXIT_CORRUPT) : null);
+        });
+    });
+};
+
+// Inspects every file even if one fails; the exit code is the worst one
+var inspect = function(argv, cb) {
+    var parsed = parseArgs(argv, {});
+    if (parsed.args.length < 1) throw fail(EXIT_USAGE, 'inspect needs at least one cache file');
+    var worst = EXIT_OK;
+    var failed = 0;
+    var next = function(i) {
+        if (i >= parsed.args.length) {
+            return (failed > 0) ? cb(fail(worst, failed + ' of ' + parsed.args.length + ' files failed the inspection')) : cb(null, EXIT_OK);
+        }
+        inspectFile(parsed.args[i], function(err) {
+            if (err) {
+                failed++;
+                worst = Math.max(worst, err.exitCode);
+            }
+            next(i + 1);
+        });
+    };
+    next(0);
+};
+
+var load = function(argv, cb) {
+    var parsed = parseArgs(argv, { name: 'value', serial: 'value' });
+    if (parsed.args.length != 2) throw fail(EXIT_USAGE, 'load needs a dump and the cache file to write');
+    var dump = path.resolve(parsed.args[0]);
+    var out = path.resolve(parsed.args[1]);
+    var dbName = parsed.options.name || dbNameOf(dump);
+    if (!(/^[a-z0-9_-]+$/i).test(dbName)) throw fail(EXIT_USAGE, 'Invalid database name ' + dbName + '; use --name');
+    var serial = (parsed.options.serial !== undefined) ? parsed.options.serial : '0';
+    if (!(/^[0-9]+$/).test(serial) || Number(serial) > 0xFFFFFFFF) throw fail(EXIT_USAGE, '--serial must be a number');
+    var databases = {};
+    // The instance is never started, so nothing is fetched from these URLs;
+    // loadFromFile() gunzips the dump if its URL ends in .gz
+    databases[dbName] = { serial: 'file://' + dump, dump: 'file://' + dump, intName: dbName.toUpperCase() };
+    // The settings are all checked above but the directory to write to
+    var cache;
+    try {
+        cache = new TinyIRRDBCache({ cacheDir: path.dirname(out), databases: databases });
+    } catch (e) {
+        throw fail(EXIT_IO, e.message);
+    }
+    var started = Date.now();
+    cache.loadFromFile(dump, dbName, Number(serial), function(err) {
+        if (err) return cb(fail(EXIT_IO, dump + ': ' + err.message));
+        var db = cache.databases[dbName];
+        cachefile.write(out, db, function(err, res) {
+            if (err) return cb(fail(EXIT_IO, out + ': ' + err.message));
+            console.log('Wrote ' + out + ': ' + dbName + ' @ ' + res.serial + ', ' + db.pc + ' route objects, ' + db.mc + ' as-sets, ' +
+                res.records + ' records, ' + res.bytes + ' bytes in ' + (Date.now() - started) + 'ms');
+            cb(null, EXIT_OK);
+        });
+    });
+};
+
+// Call fn(key, a, b) for every key of either object whose values differ
+// (undefined where one lacks the key)
+var diffObjects = function(a, b, fn) {
+    var key;
+    for (key in a) {
+        if (!b.hasOwnProperty(key) || JSON.stringify(a[key]) != JSON.stringify(b[key])) fn(key, a[key], b[key]);
+    }
+    for (key in b) {
+        if (!a.hasOwnProperty(key)) fn(key, undefined, b[key]);
+    }
+};
+
+// Route objects in only one of two PrefixStores: fn('+' or '-', prefix, asn).
+// Both are walked in the order of their origins.
+var diffRoutes = function(a, b, fn) {
+    var pa = a.packed();
+    var pb = b.packed();
+    var hexes = function(packed, i) {
+        var res = {};
+        for (var j = packed.offsets[i]; j < packed.offsets[i + 1]; j++) {
+            res[packed.data.toString('hex', j * a.width, (j + 1) * a.width)] = true;
+        }
+        return res;
+    };
+    var report = function(sign, set, other, asn) {
+        for (var hex in set) {
+            if (!other[hex]) fn(sign, new Buffer(hex, 'hex'), asn);
+        }
+    };
+    var i = 0;
+    var j = 0;
+    while (i < pa.asns.length || j < pb.asns.length) {
+        var asnA = (i < pa.asns.length) ? pa.asns[i] : Infinity;
+        var asnB = (j < pb.asns.length) ? pb.asns[j] : Infinity;
+        var setA = (asnA <= asnB) ? hexes(pa, i++) : {};
+        var setB = (asnB <= asnA) ? hexes(pb, j++) : {};
+        var asn = Math.min(asnA, asnB);
+        report('-', setA, setB, asn);
+        report('+', setB, setA, asn);
+    }
+};
+
+// Members only in one of two lists, as ' +a -b'
+var memberChanges = function(from, to) {
+    var res = '';
+    to.forEach(function(member) {
+        if (from.indexOf(member) < 0) res += ' +' + member;
+    });
+    from.forEach(function(member) {
+        if (to.indexOf(member) < 0) res += ' -' + member;
+    });
+    return res;
+};
+
+var diff = function(argv, cb) {
+    var parsed = parseArgs(argv, { quiet: 'switch' });
+    if (parsed.args.length != 2) throw fail(EXIT_USAGE, 'diff needs two cache files');
+    var quiet = !!parsed.options.quiet;
+    var differences = 0;
+    var print = function(line) {
+        differences++;
+        if (!quiet) console.log(line);
+    };
+    readCacheFile(parsed.args[0], function(err, a) {
+        if (err) return cb(err);
+        readCacheFile(parsed.args[1], function(err, b) {
+            if (err) return cb(err);
+            if (!quiet) console.log('--- ' + parsed.args[0] + ' @ ' + a.serial + '\n+++ ' + parsed.args[1] + ' @ ' + b.serial);
+            var sets = function(type, from, to) {
+                diffObjects(from, to, function(name, x, y) {
+                    if (!x) return print('+ ' + type + ' ' + name);
+                    if (!y) return print('- ' + type + ' ' + name);
+                    print('~ ' + type + ' ' + name + memberChanges(x, y));
+                });
+            };
+            sets('as-set', a.macros, b.macros);
+            sets('route-set', a.routeSets, b.routeSets);
+            sets('mbrs-by-ref', a.mbrsByRef, b.mbrsByRef);
+            // member-of and mnt-by of aut-nums and route objects
+            var memberships = function(from, to, prefix) {
+                diffObjects(from, to, function(key, x, y) {
+                    print((!x ? '+' : !y ? '-' : '~') + ' member-of ' + prefix + key);
+                });
+            };
+            memberships(a.autnums, b.autnums, 'AS');
+            memberships(a.routeMembers, b.routeMembers, '');
+            diffRoutes(a.asnv4, b.asnv4, function(sign, prefix, asn) {
+                print(sign + ' route ' + v42str(prefix) + ' AS' + asn);
+            });
+            diffRoutes(a.asnv6, b.asnv6, function(sign, prefix, asn) {
+                print(sign + ' route6 ' + v62str(prefix) + ' AS' + asn);
+            });
+            if (!quiet) console.log(differences + ' differences');
+            cb(null, differences > 0 ? EXIT_DIFFERENT : EXIT_OK);
+        });
+    });
+};
+
+var commands = { query: query, inspect: inspect, load: load, diff: diff };
+
+var main = function(argv) {
+    var done = function(err, code) {
+        if (err) {
+            console.error(err.message);
+            code = err.exitCode || EXIT_IO;
+        }
+        // Let the output drain before exiting
+        process.exitCode = code;
+    };
+    if (argv[0] == '--help' || argv[0] == 'help') {
+        console.log(usage());
+        return done(null, EXIT_OK);
+    }
+    var command = commands[argv[0]];
+    if (!command) {
+        console.error((argv[0] ? 'Unknown command: ' + argv[0] + '\n\n' : '') + usage());
+        return done(null, EXIT_USAGE);
+    }
+    try {
+        command(argv.slice(1), done);
+    } catch (e) {
+        if (!e.exitCode) throw e;
+        done(e);
+    }
+};
+
+main(process.argv.slice(2));
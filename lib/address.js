@@ -0,0 +1,155 @@
+/*
+Conversion between the text and binary forms of IP prefixes.
+
+Prefixes are kept as buffers: 4 (IPv4) or 16 (IPv6) address bytes followed
+by one byte prefix length.
+
+ - parsing is strict: anything that isn't a valid address (and prefix length)
+   gives null, never a buffer with made up bytes. IPv6 addresses may end in a
+   dotted quad (::ffff:192.0.2.1, 64:ff9b::198.51.100.7)
+ - host bits (those beyond the prefix length) are cleared by normalise() and
+   str2ip(), the same way for both families
+ - IPv6 output is canonical as in RFC 5952: lower case, no leading zeros, the
+   longest (first, if tied) run of two or more zero groups shortened to '::',
+   and IPv4-mapped addresses (::ffff:0:0/96) with the IPv4 part as a dotted quad
+*/
+
+// Four address bytes from a dotted quad, or null. Leading zeros are not
+// allowed, as some parsers read them as octal.
+var parseV4 = function(str) {
+    var octets = str.split('.');
+    if (octets.length != 4) return null;
+    var bytes = [];
+    for (var i = 0; i < 4; i++) {
+        if (!(/^(0|[1-9][0-9]{0,2})$/).test(octets[i])) return null;
+        var n = parseInt(octets[i], 10);
+        if (n > 255) return null;
+        bytes.push(n);
+    }
+    return bytes;
+};
+
+// Sixteen address bytes from IPv6 text, or null
+var parseV6 = function(str) {
+    var halves = str.split('::');
+    if (halves.length > 2) return null;
+    var groups = function(part, last) {
+        if (part === '') return [];
+        var items = part.split(':');
+        var res = [];
+        for (var i = 0; i < items.length; i++) {
+            if (last && i == items.length - 1 && items[i].indexOf('.') >= 0) {
+                var v4 = parseV4(items[i]);
+                if (!v4) return null;
+                res.push(v4[0] * 256 + v4[1], v4[2] * 256 + v4[3]);
+            } else if ((/^[0-9a-f]{1,4}$/i).test(items[i])) {
+                res.push(parseInt(items[i], 16));
+            } else {
+                return null;
+            }
+        }
+        return res;
+    };
+    var head = groups(halves[0], halves.length == 1);
+    var tail = (halves.length == 2) ? groups(halves[1], true) : [];
+    if (!head || !tail) return null;
+    var missing = 8 - head.length - tail.length;
+    // '::' stands for at least one group of zeros
+    if ((halves.length == 1) ? missing !== 0 : missing < 1) return null;
+    var all = head;
+    while (missing-- > 0) all.push(0);
+    all = all.concat(tail);
+    var bytes = [];
+    for (var i = 0; i < 8; i++) {
+        bytes.push(all[i] >> 8, all[i] & 0xff);
+    }
+    return bytes;
+};
+
+// Parse 'address/length' into a prefix buffer, or null if it isn't valid.
+// With hostRoute, a plain address is taken as a /32 or /128. Host bits are
+// left alone; see normalise().
+var parse = function(str, hostRoute) {
+    var m = String(str).trim().match(/^([0-9a-f:.]+)(?:\/([0-9]{1,3}))?$/i);
+    if (!m) return null;
+    var v6 = m[1].indexOf(':') >= 0;
+    var bytes = v6 ? parseV6(m[1]) : parseV4(m[1]);
+    if (!bytes) return null;
+    var bits = v6 ? 128 : 32;
+    if (m[2] === undefined && !hostRoute) return null;
+    var len = (m[2] === undefined) ? bits : parseInt(m[2], 10);
+    if (len > bits) return null;
+    var buf = new Buffer(bytes.length + 1);
+    for (var i = 0; i < bytes.length; i++) {
+        buf[i] = bytes[i];
+    }
+    buf[bytes.length] = len;
+    return buf;
+};
+
+// Clear the host bits of a prefix buffer in place; true if any were set
+var normalise = function(addr) {
+    var len = addr[addr.length - 1];
+    var changed = false;
+    for (var i = 0; i < addr.length - 1; i++) {
+        var keep = Math.max(0, Math.min(8, len - i * 8));
+        var mask = (0xff << (8 - keep)) & 0xff;
+        if ((addr[i] & mask) != addr[i]) {
+            addr[i] &= mask;
+            changed = true;
+        }
+    }
+    return changed;
+};
+
+// Prefix buffer from text, with host bits cleared; null if it isn't valid
+var str2ip = function(addrIn) {
+    var addr = parse(addrIn);
+    if (addr) normalise(addr);
+    return addr;
+};
+
+var v42str = function(addr) {
+    return addr[0] + '.' + addr[1] + '.' + addr[2] + '.' + addr[3] + '/' + addr[4];
+};
+
+var v62str = function(addr) {
+    var groups = [];
+    for (var i = 0; i < 8; i++) {
+        groups.push(addr.readUInt16BE(i * 2));
+    }
+    if (groups.slice(0, 5).join() == '0,0,0,0,0' && groups[5] == 0xffff) {
+        return '::ffff:' + addr[12] + '.' + addr[13] + '.' + addr[14] + '.' + addr[15] + '/' + addr[16];
+    }
+    // Longest run of zero groups; a single one is not shortened
+    var best = -1;
+    var bestLength = 1;
+    for (i = 0; i < 8; i++) {
+        var run = 0;
+        while (i + run < 8 && groups[i + run] === 0) run++;
+        if (run > bestLength) {
+            best = i;
+            bestLength = run;
+        }
+        if (run > 0) i += run - 1;
+    }
+    var hex = groups.map(function(group) {
+        return group.toString(16);
+    });
+    var text = (best < 0) ? hex.join(':') :
+        hex.slice(0, best).join(':') + '::' + hex.slice(best + bestLength).join(':');
+    return text + '/' + addr[16];
+};
+
+var ip2str = function(addr) {
+    return (addr.length > 5) ? v62str(addr) : v42str(addr);
+};
+
+module.exports = {
+    parse: parse,
+    normalise: normalise,
+    str2ip: str2ip,
+    v42str: v42str,
+    v62str: v62str,
+    ip2str: ip2str
+};
@@ -0,0 +1,153 @@
+/*
+Deduplication, length filtering and aggregation of prefix lists.
+
+Prefixes are the 5 (IPv4) or 17 (IPv6) byte buffers used by the store: the
+address bytes followed by the prefix length.
+
+Aggregation works like bgpq4 -A: the result is the smallest set of entries
+'prefix/len ge a le b' that permits exactly the prefixes of the input. An
+entry with a range is only produced if every more specific of the given
+lengths is in the input, so the result never permits more than the input did.
+*/
+
+var masks = [0, 128, 192, 224, 240, 248, 252, 254, 255];
+
+// Copy of a prefix with the host bits cleared and the length set to len
+var truncate = function(prefix, len) {
+    var res = new Buffer(prefix.length);
+    var bytes = prefix.length - 1;
+    prefix.copy(res);
+    for (var i = 0; i < bytes; i++) {
+        if (len >= (i + 1) * 8) continue;
+        res[i] = (len > i * 8) ? res[i] & masks[len - i * 8] : 0;
+    }
+    res[bytes] = len;
+    return res;
+};
+
+var compare = function(a, b) {
+    for (var i = 0; i < a.length; i++) {
+        if (a[i] != b[i]) return a[i] - b[i];
+    }
+    return 0;
+};
+
+var bit = function(prefix, n) {
+    return (prefix[n >> 3] >> (7 - (n & 7))) & 1;
+};
+
+// Sorted copy of the prefixes without duplicates, optionally dropping
+// everything longer than maxLength.
+var dedupe = function(prefixes, maxLength) {
+    var res = [];
+    var i;
+    for (i = 0; i < prefixes.length; i++) {
+        var len = prefixes[i][prefixes[i].length - 1];
+        if (maxLength !== undefined && maxLength !== null && len > maxLength) continue;
+        res.push(truncate(prefixes[i], len));
+    }
+    res.sort(compare);
+    var out = [];
+    for (i = 0; i < res.length; i++) {
+        if (i > 0 && compare(res[i], res[i - 1]) === 0) continue;
+        out.push(res[i]);
+    }
+    return out;
+};
+
+var intersect = function(a, b) {
+    var res = [];
+    var i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] == b[j]) {
+            res.push(a[i]);
+            i++;
+            j++;
+        } else if (a[i] < b[j]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return res;
+};
+
+var union = function(a, b) {
+    var res = a.slice();
+    for (var i = 0; i < b.length; i++) {
+        if (res.indexOf(b[i]) < 0) res.push(b[i]);
+    }
+    return res.sort(function(x, y) {
+        return x - y;
+    });
+};
+
+// Build the trie for items[lo..hi), all sharing their first depth bits.
+// Each node records 'full': the lengths for which every more specific of the
+// node's prefix is present. Nodes with a single child are skipped since their
+// 'full' could only contain their own length.
+var build = function(items, lo, hi, depth) {
+    var len = items[lo][items[lo].length - 1];
+    var node = { prefix: items[lo], depth: depth, full: [], children: [] };
+    if (hi - lo == 1) {
+        node.depth = len;
+        node.full = [len];
+        return node;
+    }
+    var i = lo;
+    var exact = (len == depth);
+    if (exact) i++;
+    // items are sorted, so those with bit 'depth' cleared come first
+    var mid = i;
+    while (mid < hi && bit(items[mid], depth) === 0) mid++;
+    if (!exact && (mid == i || mid == hi)) {
+        return build(items, lo, hi, depth + 1);
+    }
+    var left = (mid > i) ? build(items, i, mid, depth + 1) : null;
+    var right = (hi > mid) ? build(items, mid, hi, depth + 1) : null;
+    if (left) node.children.push(left);
+    if (right) node.children.push(right);
+    if (left && right && left.depth == depth + 1 && right.depth == depth + 1) {
+        node.full = intersect(left.full, right.full);
+    }
+    if (exact) node.full.unshift(depth);
+    return node;
+};
+
+var emit = function(node, covered, out) {
+    var fresh = node.full.filter(function(len) {
+        return covered.indexOf(len) < 0;
+    });
+    var i = 0;
+    while (i < fresh.length) {
+        var j = i;
+        while (j + 1 < fresh.length && fresh[j + 1] == fresh[j] + 1) j++;
+        var entry = { prefix: truncate(node.prefix, node.depth) };
+        if (fresh[i] != node.depth || fresh[j] != node.depth) {
+            if (fresh[i] != node.depth) entry.ge = fresh[i];
+            entry.le = fresh[j];
+        }
+        out.push(entry);
+        i = j + 1;
+    }
+    covered = union(covered, node.full);
+    for (i = 0; i < node.children.length; i++) {
+        emit(node.children[i], covered, out);
+    }
+};
+
+// Aggregate prefixes into entries { prefix: Buffer, ge: n, le: n }; ge and le
+// are left out where they're not needed.
+var aggregate = function(prefixes, maxLength) {
+    var items = dedupe(prefixes, maxLength);
+    var out = [];
+    if (items.length === 0) return out;
+    emit(build(items, 0, items.length, 0), [], out);
+    return out;
+};
+
+module.exports = {
+    aggregate: aggregate,
+    dedupe: dedupe,
+    truncate: truncate
+};
@@ -0,0 +1,1281 @@
+/*
+The cache itself: mirrors of the configured databases, kept up to date by
+NRTM, in memory and in cache files, with the expansions, watches, history
+and metrics built on them.
+
+    var TinyIRRDBCache = require('./index.js').TinyIRRDBCache;
+    var cache = new TinyIRRDBCache({ cacheDir: '/var/cache/irr', databases: { ... } });
+    cache.on('ready', function() {
+        cache.expand('AS-FOO', { sources: ['ripe'], family: 4 }).then(...);
+    });
+    cache.start();
+
+Everything is kept per instance, but for the pool of interned strings
+(lib/store.js); creating one reads, fetches and schedules nothing until
+start(). stop() ends the timers and pending retries; NRTM
+sessions and downloads under way finish on their own. The HTTP
+API (lib/server.js) and the whois server (lib/whois.js) are optional add-ons
+for an instance.
+
+Events:
+  ready    every configured database was imported or loaded, once
+  update   { database, serial, full, sets, asns }: a database changed;
+           full when it was replaced as a whole (import, dump, snapshot,
+           local files), otherwise sets and asns are what the update touched
+  serial   { database, serial, previous }: the serial (NRTMv4: version) of a
+           database changed
+  error    an Error with the database it concerns (err.database): failed
+           imports, exports, downloads and NRTM sessions. Only emitted if
+           there are listeners; the cache retries on its own either way
+
+expand(), originPrefixes() and lookup() return promises, or take a
+callback(err, result) as the last argument instead. Their errors have the
+status the HTTP API would answer with (err.status).
+*/
+
+var
+    fs = require('fs'),
+    zlib = require('zlib'),
+    path = require('path'),
+    util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    cachefile = require('./cachefile'),
+    fetch = require('./fetch'),
+    nrtm = require('./nrtm'),
+    nrtmv4 = require('./nrtmv4'),
+    expand = require('./expand').expand,
+    findSource = require('./expand').findSource,
+    parseAsn = require('./expand').parseAsn,
+    withLocal = require('./expand').withLocal,
+    Filter = require('./filters').Filter,
+    formats = require('./formats'),
+    Trie = require('./trie').Trie,
+    PrefixStore = require('./store').PrefixStore,
+    intern = require('./store').intern,
+    rpki = require('./rpki'),
+    History = require('./history').History,
+    Watches = require('./watches').Watches,
+    ExpansionCache = require('./expansions').ExpansionCache,
+    metrics = require('./metrics'),
+    address = require('./address'),
+    v42str = address.v42str,
+    v62str = address.v62str,
+    str2ip = address.str2ip,
+    configure = require('./config').create;
+
+// Metrics of an instance, including those of its HTTP server (lib/server.js)
+var createStats = function(registry) {
+    return {
+        serial: registry.gauge('tinyirrdbcache_database_serial', 'Serial (NRTMv4: version) of the cached database', ['database']),
+        prefixes: registry.gauge('tinyirrdbcache_database_prefixes', 'Route and route6 objects in the cached database', ['database']),
+        macros: registry.gauge('tinyirrdbcache_database_macros', 'As-set objects in the cached database', ['database']),
+        loaded: registry.gauge('tinyirrdbcache_database_loaded', 'Whether the database was imported or loaded (1) or not yet (0)', ['database']),
+        nrtmAge: registry.gauge('tinyirrdbcache_nrtm_last_success_age_seconds', 'Seconds since the last successful NRTM update', ['database']),
+        nrtmErrors: registry.counter('tinyirrdbcache_nrtm_errors_total', 'Failed NRTM updates', ['database']),
+        nrtmRetries: registry.counter('tinyirrdbcache_nrtm_retries_total', 'NRTM updates retried after a failure', ['database']),
+        dumpSeconds: registry.gauge('tinyirrdbcache_dump_download_seconds', 'Duration of the last successful dump download', ['database']),
+        exportBytes: registry.gauge('tinyirrdbcache_export_bytes', 'Size of the last cache file export', ['database']),
+        exportSeconds: registry.gauge('tinyirrdbcache_export_seconds', 'Duration of the last cache file export', ['database']),
+        requests: registry.counter('tinyirrdbcache_http_requests_total', 'HTTP requests answered', ['endpoint', 'code']),
+        latency: registry.histogram('tinyirrdbcache_http_request_duration_seconds', 'Time taken to answer HTTP requests', ['endpoint'],
+            [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10]),
+        rejected: registry.counter('tinyirrdbcache_rejected_objects_total', 'Objects not applied because of invalid prefixes or ASNs', ['database']),
+        normalised: registry.counter('tinyirrdbcache_normalised_prefixes_total', 'Route objects whose prefix had host bits set', ['database']),
+        heap: registry.gauge('tinyirrdbcache_heap_used_bytes', 'V8 heap in use'),
+        cacheHits: registry.counter('tinyirrdbcache_expansion_cache_hits_total', 'Set expansions answered from the cache'),
+        cacheMisses: registry.counter('tinyirrdbcache_expansion_cache_misses_total', 'Set expansions that had to be computed'),
+        cacheInvalidations: registry.counter('tinyirrdbcache_expansion_cache_invalidations_total', 'Cached expansions dropped because an update touched them'),
+        cacheEvictions: registry.counter('tinyirrdbcache_expansion_cache_evictions_total', 'Cached expansions dropped to stay within expansionCache.size'),
+        cacheEntries: registry.gauge('tinyirrdbcache_expansion_cache_entries', 'Expansions in the cache')
+    };
+};
+
+var newDatabase = function(serial) {
+    return { serial: serial, macros: {}, routeSets: {}, autnums: {}, mbrsByRef: {}, routeMembers: {}, provenance: {}, asnv4: new PrefixStore(5), asnv6: new PrefixStore(17), prefixes: {}, pc: 0, mc: 0 };
+};
+
+// Reverse lookup tries holding all route objects of a database
+var buildTries = function(db) {
+    var tries = { 4: new Trie(5), 6: new Trie(17) };
+    db.asnv4.forEach(function(prefix, asn) {
+        tries[4].add(prefix, asn);
+    });
+    db.asnv6.forEach(function(prefix, asn) {
+        tries[6].add(prefix, asn);
+    });
+    return tries;
+};
+
+// options: settings like those of the config file (see lib/config.js); what
+// is missing gets the defaults
+var TinyIRRDBCache = function(options) {
+    EventEmitter.call(this);
+    var self = this;
+    var config = this.config = configure(options);
+    this.databases = {};
+    this.exporting = {};
+    this.tries = {};
+    this.loading = {};
+    this.staging = {};
+    this.history = {};
+    this.changes = {};
+    this.lastUpdate = {};
+    this.watches = new Watches(path.join(config.cacheDir, 'watches.json'), {
+        webhook: config.notifications.webhook,
+        secret: config.notifications.secret,
+        retries: config.notifications.retries,
+        backoff: config.notifications.backoff * 1000,
+        timeout: config.intervals.timeout * 1000
+    });
+    this.nrtm = {};
+    this.retries = {};
+    this.filter = new Filter(config.filters);
+    this.expansions = new ExpansionCache(this.databases, config.databases, config.expansionCache.size, this.filter);
+    this.validator = null;
+    this.timers = [];
+    this.started = false;
+    this.stopped = false;
+    this.ready = false;
+    this.serials = {};
+    this.registry = new metrics.Registry();
+    this.stats = createStats(this.registry);
+    this.registry.collect(function() {
+        self.collect();
+    });
+    return this;
+};
+util.inherits(TinyIRRDBCache, EventEmitter);
+
+// Import the databases (or download them), keep them up to date and watch
+// the local objects and the VRP file. Nothing is read, fetched or scheduled
+// before start(); an instance can't be started again once stopped.
+TinyIRRDBCache.prototype.start = function() {
+    if (this.started) return this;
+    this.started = true;
+    this.watches.load();
+    // Try to import databases...
+    for (var dbName in this.config.databases) {
+        this.initDb(dbName);
+    }
+    if (this.config.rpki.file) {
+        this.validator = new rpki.Validator(this.config.rpki.file, this.config.rpki.interval);
+        this.validator.start();
+    }
+    return this;
+};
+
+// Stop fetching updates and watching files. Running NRTM sessions and
+// downloads finish, but start nothing new; the data stays available.
+TinyIRRDBCache.prototype.stop = function() {
+    this.stopped = true;
+    this.timers.forEach(function(timer) {
+        clearInterval(timer);
+    });
+    this.timers = [];
+    for (var dbName in this.retries) {
+        clearTimeout(this.retries[dbName]);
+    }
+    this.retries = {};
+    if (this.validator) this.validator.stop();
+    return this;
+};
+
+// Set the gauges of the metrics registry that are read when scraped
+TinyIRRDBCache.prototype.collect = function() {
+    var stats = this.stats;
+    for (var dbName in this.config.databases) {
+        var db = this.databases[dbName];
+        stats.loaded.set({ database: dbName }, db ? 1 : 0);
+        if (!db) continue;
+        stats.serial.set({ database: dbName }, db.serial);
+        stats.prefixes.set({ database: dbName }, db.pc);
+        stats.macros.set({ database: dbName }, db.mc);
+        if (this.lastUpdate[dbName]) stats.nrtmAge.set({ database: dbName }, (Date.now() - this.lastUpdate[dbName]) / 1000);
+    }
+    stats.heap.set({}, process.memoryUsage().heapUsed);
+    stats.cacheHits.set({}, this.expansions.stats.hits);
+    stats.cacheMisses.set({}, this.expansions.stats.misses);
+    stats.cacheInvalidations.set({}, this.expansions.stats.invalidations);
+    stats.cacheEvictions.set({}, this.expansions.stats.evictions);
+    stats.cacheEntries.set({}, this.expansions.count);
+};
+
+// Report a failure to the 'error' listeners, if there are any (an 'error'
+// event nobody listens to would throw)
+TinyIRRDBCache.prototype.fail = function(dbName, err) {
+    if (typeof err == 'string') err = new Error(err);
+    err.database = dbName;
+    if (this.listeners('error').length > 0) this.emit('error', err);
+};
+
+// A database changed: the sets and ASNs noted by parsePacket(), or all of it
+// (imported, loaded from a dump or snapshot). Emits the events and checks the
+// watches.
+TinyIRRDBCache.prototype.updated = function(dbName, all) {
+    var db = this.databases[dbName];
+    var changes = this.changes[dbName] || { sets: {}, asns: {} };
+    this.emit('update', {
+        database: dbName,
+        serial: db.serial,
+        full: !!all,
+        sets: Object.keys(changes.sets),
+        asns: Object.keys(changes.asns).map(Number)
+    });
+    if (this.serials[dbName] !== db.serial) {
+        this.emit('serial', { database: dbName, serial: db.serial, previous: (this.serials[dbName] === undefined) ? null : this.serials[dbName] });
+        this.serials[dbName] = db.serial;
+    }
+    this.checkWatches(dbName, all);
+    if (!this.ready && this.readiness().ready) {
+        this.ready = true;
+        this.emit('ready');
+    }
+};
+
+// Ready once every configured database was imported or loaded:
+// { ready, databases: { name: { serial } or null } }
+TinyIRRDBCache.prototype.readiness = function() {
+    var res = { ready: true, databases: {} };
+    for (var dbName in this.config.databases) {
+        var db = this.databases[dbName];
+        res.databases[dbName] = db ? { serial: db.serial } : null;
+        if (!db) res.ready = false;
+    }
+    return res;
+};
+
+// Path of a file in the configured cache directory
+TinyIRRDBCache.prototype.cacheFile = function(name) {
+    return path.join(this.config.cacheDir, name);
+};
+
+TinyIRRDBCache.prototype.initDb = function(dbName) {
+    var self = this;
+    if (this.config.databases[dbName].local) {
+        this.initLocal(dbName);
+        return;
+    }
+    if (this.config.history.enabled) {
+        this.history[dbName] = new History(this.cacheFile(path.join('history', dbName)),
+            this.config.history.retention * 1000, this.config.history.snapshotInterval * 1000);
+    }
+    this.timers.push(setInterval(function() {
+        self.enableRT(dbName);
+    }, this.config.intervals.realtime * 1000));
+    this.importDB(dbName, function(err) {
+        // NRTMv4 mirrors bootstrap from their snapshot instead of a dump
+        if (!err || self.config.databases[dbName].realtimeType == 'nrtmv4') {
+            self.enableRT(dbName);
+            return;
+        }
+        self.getDump(dbName);
+    });
+};
+
+// Files of the local database with their size and modification time, in the
+// order they are loaded: local.path itself, or the files in that directory
+// whose names don't start with a dot
+var localFiles = function(localPath, cb) {
+    fs.stat(localPath, function(err, stat) {
+        if (err) return cb(err);
+        if (!stat.isDirectory()) return cb(null, [{ file: localPath, size: stat.size, mtime: stat.mtime.getTime() }]);
+        fs.readdir(localPath, function(err, names) {
+            if (err) return cb(err);
+            names = names.filter(function(name) {
+                return name[0] != '.';
+            }).sort();
+            var files = [];
+            var next = function(i) {
+                if (i == names.length) return cb(null, files);
+                var file = path.join(localPath, names[i]);
+                fs.stat(file, function(err, stat) {
+                    if (err) return cb(err);
+                    if (stat.isFile()) files.push({ file: file, size: stat.size, mtime: stat.mtime.getTime() });
+                    next(i + 1);
+                });
+            };
+            next(0);
+        });
+    });
+};
+
+// The local database holds operator supplied RPSL objects from local.path.
+// It is read again whenever a file is added, removed or changed; until that
+// succeeds the previous contents stay in use. It has no NRTM, history or
+// cache file.
+TinyIRRDBCache.prototype.initLocal = function(dbName) {
+    var self = this;
+    var databases = this.databases;
+    var loaded = null;
+    var lastError = null;
+    var check = function() {
+        if (self.loading[dbName]) return;
+        localFiles(self.config.local.path, function(err, files) {
+            if (!err && JSON.stringify(files) == loaded) return;
+            var done = function(err) {
+                if (!err) {
+                    loaded = JSON.stringify(files);
+                    lastError = null;
+                    return;
+                }
+                // Tried again on every check; only reported when the error changes
+                if (err.message != lastError) {
+                    console.log('Could not load local objects from ' + self.config.local.path + ': ' + err.message);
+                    self.fail(dbName, err);
+                }
+                lastError = err.message;
+                // Start out empty rather than keeping lookups waiting for it
+                if (!databases[dbName]) {
+                    databases[dbName] = newDatabase(0);
+                    self.resetTries(dbName);
+                    self.updated(dbName, true);
+                }
+            };
+            if (err) return done(err);
+            self.loadLocal(dbName, files.map(function(entry) {
+                return entry.file;
+            }), done);
+        });
+    };
+    check();
+    this.timers.push(setInterval(check, this.config.local.interval * 1000));
+};
+
+// Replace the local database with the objects in files. Its serial counts
+// the times it was loaded.
+TinyIRRDBCache.prototype.loadLocal = function(dbName, files, cb) {
+    var self = this;
+    var databases = this.databases;
+    var db = newDatabase(databases[dbName] ? databases[dbName].serial + 1 : 1);
+    this.staging[dbName] = { db: db, tries: buildTries(db) };
+    this.loading[dbName] = true;
+    var done = function(err) {
+        var staged = self.staging[dbName];
+        delete self.staging[dbName];
+        delete self.loading[dbName];
+        if (!err) {
+            databases[dbName] = staged.db;
+            self.tries[dbName] = staged.tries;
+            self.expansions.clear(dbName);
+            console.log('Loaded ' + files.length + ' local file(s); ' + dbName + ' @ ' + db.serial + ': ' + db.pc + ' route objects, ' + db.mc + ' as-sets');
+            self.updated(dbName, true);
+        }
+        cb(err);
+    };
+    var next = function(i) {
+        if (i == files.length) return done(null);
+        self.loadStream(dbName, fs.createReadStream(files[i]), function(err) {
+            if (err) return done(err);
+            next(i + 1);
+        });
+    };
+    next(0);
+};
+
+// Fetch NRTM updates for a database. Only one session per database runs at
+// a time, and none while a fresh dump is being loaded.
+TinyIRRDBCache.prototype.enableRT = function(dbName) {
+    var self = this;
+    var databases = this.databases;
+    var stats = this.stats;
+    var curDB = this.config.databases[dbName];
+    if (this.stopped) return;
+    if (curDB.realtimeType == 'nrtmv4') {
+        this.updateNrtm4(dbName);
+        return;
+    }
+    if (!curDB.realtimePort || !curDB.realtimeHost) {
+        return;
+    }
+    if (!databases[dbName] || this.loading[dbName]) {
+        return;
+    }
+    if (this.nrtm[dbName]) {
+        console.log('Realtime session for ' + dbName + ' still running; not starting another one');
+        return;
+    }
+    this.nrtm[dbName] = true;
+    var startSerial = databases[dbName].serial;
+    nrtm.fetch({
+        host: curDB.realtimeHost,
+        port: curDB.realtimePort,
+        source: curDB.intName,
+        serial: startSerial,
+        timeout: this.config.intervals.timeout * 1000
+    }, function(op) {
+        self.parsePacket(op.object, dbName, op.action == 'DEL', op.serial);
+        databases[dbName].serial = op.serial;
+    }, function(err, res) {
+        delete self.nrtm[dbName];
+        if (res.serial != startSerial) {
+            self.exportDB(dbName);
+            self.updated(dbName);
+        }
+        if (err && err.code == 'ENRTMGAP') {
+            console.log('Realtime updates for ' + dbName + ' incomplete: ' + err.message + '; resyncing from dump');
+            stats.nrtmErrors.inc({ database: dbName });
+            self.fail(dbName, err);
+            // Forced: the published dump may not be newer than our serial yet
+            self.getDump(dbName, true);
+            return;
+        }
+        if (err) {
+            console.log('Realtime failed for ' + dbName + ' @ ' + res.serial + ': ' + err.message);
+            stats.nrtmErrors.inc({ database: dbName });
+            self.fail(dbName, err);
+            if (self.retries[dbName] || self.stopped) return;
+            self.retries[dbName] = setTimeout(function() {
+                delete self.retries[dbName];
+                console.log('Retrying realtime for', dbName);
+                stats.nrtmRetries.inc({ database: dbName });
+                self.enableRT(dbName);
+            }, self.config.intervals.retry * 1000);
+            return;
+        }
+        self.lastUpdate[dbName] = Date.now();
+        console.log('End of update. ' + dbName + ' @ ' + res.serial + '; ' + res.added + ' added, ' + res.deleted + ' deleted');
+    });
+};
+
+// Mirror a database via NRTMv4, loading the snapshot if there is no local
+// copy of the server's current session.
+TinyIRRDBCache.prototype.updateNrtm4 = function(dbName) {
+    var self = this;
+    var databases = this.databases;
+    var stats = this.stats;
+    var curDB = this.config.databases[dbName];
+    if (this.nrtm[dbName]) {
+        console.log('Realtime session for ' + dbName + ' still running; not starting another one');
+        return;
+    }
+    this.nrtm[dbName] = true;
+    var state = databases[dbName] ? { session: databases[dbName].session, version: databases[dbName].serial } : null;
+    var changed = false;
+    var replaced = false;
+    nrtmv4.update({
+        url: curDB.notificationUrl,
+        publicKey: curDB.publicKey,
+        source: curDB.intName,
+        retries: this.config.downloads.retries,
+        backoff: this.config.downloads.backoff * 1000,
+        timeout: this.config.intervals.timeout * 1000
+    }, state, {
+        snapshot: function(session, version) {
+            // Like a dump, the snapshot is staged until it loaded completely
+            self.loading[dbName] = true;
+            var db = newDatabase(version);
+            db.session = session;
+            self.staging[dbName] = { db: db, tries: buildTries(db) };
+        },
+        add: function(lines, version) {
+            self.parsePacket(lines.filter(function(line) {
+                return line !== '';
+            }), dbName, false, version);
+        },
+        remove: function(objectClass, key, version) {
+            var m;
+            if (objectClass == 'route' || objectClass == 'route6') {
+                m = key.match(/^(.+\/[0-9]+)(AS[0-9]+)$/i);
+                if (m) self.parsePacket([objectClass + ': ' + m[1], 'origin: ' + m[2]], dbName, true, version);
+            } else if (objectClass == 'as-set' || objectClass == 'route-set' || objectClass == 'aut-num') {
+                self.parsePacket([objectClass + ': ' + key], dbName, true, version);
+            }
+        },
+        version: function(version) {
+            self.store(dbName).db.serial = version;
+            changed = true;
+        }
+    }, function(err, res) {
+        delete self.nrtm[dbName];
+        if (self.staging[dbName]) {
+            var staged = self.staging[dbName];
+            delete self.staging[dbName];
+            delete self.loading[dbName];
+            if (err && !(res && res.snapshot)) {
+                console.log('Loading NRTMv4 snapshot for ' + dbName + ' failed; keeping the previous data');
+                changed = false;
+            } else {
+                databases[dbName] = staged.db;
+                self.tries[dbName] = staged.tries;
+                self.expansions.clear(dbName);
+                if (self.history[dbName]) self.history[dbName].reset();
+                replaced = true;
+            }
+        }
+        if (changed) {
+            self.exportDB(dbName);
+            self.updated(dbName, replaced);
+        }
+        if (err) {
+            console.log('NRTMv4 update for ' + dbName + ' failed: ' + err.message);
+            stats.nrtmErrors.inc({ database: dbName });
+            self.fail(dbName, err);
+            return;
+        }
+        self.lastUpdate[dbName] = Date.now();
+        console.log('End of update. ' + dbName + ' @ ' + res.version + (res.snapshot ? ' (from snapshot)' : '') + '; ' + res.deltas + ' deltas applied');
+    });
+};
+
+// Download options for a URL, from the downloads config
+TinyIRRDBCache.prototype.downloadOptions = function(url) {
+    return {
+        retries: this.config.downloads.retries,
+        backoff: this.config.downloads.backoff * 1000,
+        timeout: this.config.intervals.timeout * 1000,
+        gzip: (/\.gz$/).test(url)
+    };
+};
+
+// Replace a database with a fresh dump, unless the remote serial shows the
+// dump isn't newer than what we have (and force isn't set). The dump is loaded
+// next to the data in use and only swapped in once it was downloaded and parsed completely.
+TinyIRRDBCache.prototype.getDump = function(dbName, force) {
+    var self = this;
+    var databases = this.databases;
+    var stats = this.stats;
+    var curDB = this.config.databases[dbName];
+    if (this.stopped) return;
+    console.log('Trying to get a fresh dump for ' + dbName);
+    if (!curDB.dump) {
+        console.log('Could not get dump for ' + dbName + '. No dump-address given.');
+        return;
+    }
+    if (this.loading[dbName]) {
+        console.log('Dump for ' + dbName + ' is already being loaded');
+        return;
+    }
+    this.loading[dbName] = true;
+    // failed: msg reports an error rather than why nothing was done
+    var done = function(msg, failed) {
+        if (msg) console.log(msg);
+        delete self.loading[dbName];
+        if (!failed) return;
+        self.fail(dbName, msg);
+        // Without any data the database would stay unavailable; keep trying
+        if (databases[dbName] || self.retries[dbName] || self.stopped) return;
+        self.retries[dbName] = setTimeout(function() {
+            delete self.retries[dbName];
+            console.log('Retrying the dump for', dbName);
+            self.getDump(dbName);
+        }, self.config.intervals.retry * 1000);
+    };
+    fetch.get(curDB.serial, this.downloadOptions(curDB.serial), function(err, buf) {
+        if (err) return done('Got no serial for ' + dbName + ' (' + err.message + '); Skipping this database.', true);
+        var serial = buf.toString().trim();
+        if (!(/^[0-9]+$/).test(serial)) return done('Invalid serial for ' + dbName + ': ' + JSON.stringify(serial.substring(0, 40)), true);
+        serial = parseInt(serial, 10);
+        if (!force && databases[dbName] && serial <= databases[dbName].serial) {
+            return done('Dump of ' + dbName + ' (serial ' + serial + ') is not newer than ours (' + databases[dbName].serial + '); not downloading it');
+        }
+        var file = self.cacheFile(dbName + '.dump.tmp');
+        var started = Date.now();
+        fetch.download(curDB.dump, file, self.downloadOptions(curDB.dump), function(err, bytes) {
+            if (err) {
+                fs.unlink(file, function() {
+                });
+                return done('Download of ' + dbName + ' dump failed: ' + err.message, true);
+            }
+            console.log('Downloaded ' + dbName + ' dump: ' + bytes + ' bytes in ' + (Date.now() - started) + 'ms');
+            stats.dumpSeconds.set({ database: dbName }, (Date.now() - started) / 1000);
+            self.loadFromFile(file, dbName, serial, function(err) {
+                fs.unlink(file, function() {
+                });
+                if (err) return done('Loading ' + dbName + ' dump failed: ' + err.message + '; keeping the previous data', true);
+                done();
+                self.exportDB(dbName);
+                self.updated(dbName, true);
+            });
+        });
+    });
+};
+
+// Parse a stream of RPSL objects into a database; cb(err) once it ended
+TinyIRRDBCache.prototype.loadStream = function(dbName, stream, cb) {
+    var buf = '';
+    var x = 0;
+    var packet = [];
+    var self = this;
+    var failed = false;
+    stream.setEncoding('utf8');
+    stream.on('data', function(data) {
+        buf += data;
+        while (true) {
+            var m = buf.match(/^([^\n\r]*)\r?\n/);
+            if (!m) break;
+            buf = buf.substring(m[0].length);
+            if (m[1] === '') {
+                x++;
+                self.parsePacket(packet, dbName);
+                if (x % 10000 === 0) console.log(process.memoryUsage().heapUsed + '; ' + self.store(dbName).db.pc + '; ' + self.store(dbName).db.mc);
+                packet = [];
+            } else {
+                packet.push(m[1]);
+            }
+        }
+    });
+    stream.on('end', function() {
+        if (failed) return;
+        if (buf !== '') packet.push(buf);
+        if (packet.length > 0) self.parsePacket(packet, dbName);
+        cb(null);
+    });
+    stream.on('error', function(err) {
+        if (failed) return;
+        failed = true;
+        cb(err);
+    });
+};
+
+// Load a (gzipped, if the dump URL says so) dump file as the new contents of a
+// database. Until cb(err) is called, updates go to the staged copy; it
+// replaces the data in use only if the whole file could be read.
+TinyIRRDBCache.prototype.loadFromFile = function(file, dbName, serial, cb) {
+    var self = this;
+    var databases = this.databases;
+    var db = newDatabase(serial);
+    this.staging[dbName] = { db: db, tries: buildTries(db) };
+    var stream = fs.createReadStream(file);
+    if (this.config.databases[dbName].dump.match(/\.gz$/)) {
+        var gzip = zlib.createGunzip();
+        stream.on('error', function(err) {
+            gzip.emit('error', err);
+        });
+        stream = stream.pipe(gzip);
+    }
+    this.loadStream(dbName, stream, function(err) {
+        var staged = self.staging[dbName];
+        delete self.staging[dbName];
+        if (!err) {
+            databases[dbName] = staged.db;
+            self.tries[dbName] = staged.tries;
+            self.expansions.clear(dbName);
+            if (self.history[dbName]) self.history[dbName].reset();
+        }
+        cb(err);
+    });
+};
+
+TinyIRRDBCache.prototype.importDB = function(dbName, cb) {
+    var self = this;
+    var databases = this.databases;
+    cachefile.read(this.cacheFile(dbName + '.tiny'), function(err, db) {
+        if (err) {
+            if (err.code != 'ENOENT') {
+                console.log('Could not import cache file for ' + dbName + ': ' + err.message);
+                self.fail(dbName, err);
+            }
+            if (cb) cb(err);
+            return;
+        }
+        var version = db.version;
+        delete db.version;
+        // Files from older versions may hold prefixes with host bits set
+        // (which may then equal others of the origin), repeated prefixes
+        // and non-canonical IPv6 text in route membership keys
+        if (version < 5) {
+            ['asnv4', 'asnv6'].forEach(function(family) {
+                db[family].forEach(function(prefix) {
+                    var ipIn = address.ip2str(prefix);
+                    if (address.normalise(prefix)) console.log(ipIn + ' > ' + address.ip2str(prefix));
+                });
+                db.pc -= db[family].compact(true);
+            });
+        }
+        for (var key in db.routeMembers) {
+            var route = key.match(/^(.+\/[0-9]+)AS([0-9]+)$/i);
+            var ip = route && str2ip(route[1]);
+            if (!ip || address.ip2str(ip) + 'AS' + route[2] == key) continue;
+            db.routeMembers[address.ip2str(ip) + 'AS' + route[2]] = db.routeMembers[key];
+            delete db.routeMembers[key];
+        }
+        databases[dbName] = db;
+        self.resetTries(dbName);
+        self.expansions.clear(dbName);
+        console.log('Import done; ' + dbName + ' @ ' + databases[dbName].serial);
+        console.log(process.memoryUsage().heapUsed);
+        if (version < 4) {
+            // Older files lack route-sets, aut-nums, membership attributes or provenance
+            console.log('Cache file for ' + dbName + ' is missing object classes or attributes; reloading the database');
+            if (self.config.databases[dbName].realtimeType == 'nrtmv4') {
+                delete databases[dbName].session;
+            } else {
+                self.getDump(dbName, true);
+            }
+        } else if (version < cachefile.VERSION) {
+            console.log('Upgrading cache file for ' + dbName + ' from format version ' + version);
+            self.exportDB(dbName);
+        }
+        self.updated(dbName, true);
+        if (cb) cb(null);
+    });
+};
+
+// Write a database to a file for quick import. Only one export per database
+// runs at a time; a request arriving meanwhile is run once the current one is done.
+TinyIRRDBCache.prototype.exportDB = function(dbName) {
+    var self = this;
+    var databases = this.databases;
+    var stats = this.stats;
+    if (this.exporting[dbName]) {
+        this.exporting[dbName].pending = true;
+        return;
+    }
+    this.exporting[dbName] = { pending: false };
+    var started = Date.now();
+    var lastLog = started;
+    console.log('Exporting ' + dbName);
+    cachefile.write(this.cacheFile(dbName + '.tiny'), databases[dbName], function(err, res) {
+        var pending = self.exporting[dbName].pending;
+        delete self.exporting[dbName];
+        if (err) {
+            console.log('Export of ' + dbName + ' failed: ' + err.message);
+            self.fail(dbName, err);
+        } else {
+            console.log('Exported ' + dbName + ': ' + res.records + ' records, ' + res.bytes + ' bytes in ' + (Date.now() - started) + 'ms');
+            stats.exportBytes.set({ database: dbName }, res.bytes);
+            stats.exportSeconds.set({ database: dbName }, (Date.now() - started) / 1000);
+            var history = self.history[dbName];
+            if (history && history.due()) {
+                history.snapshot(self.cacheFile(dbName + '.tiny'), res.serial, function(err) {
+                    if (err) console.log('History snapshot of ' + dbName + ' failed: ' + err.message);
+                });
+            }
+        }
+        if (pending) self.exportDB(dbName);
+    }, function(records, total, bytes) {
+        if (Date.now() - lastLog < 5000) return;
+        lastLog = Date.now();
+        console.log('Exporting ' + dbName + ': ' + records + '/' + total + ' records, ' + bytes + ' bytes');
+    });
+};
+
+// Comma separated list attribute; names upper case, prefixes (route-set members) lower case
+var splitList = function(value) {
+    var res = [];
+    var items = value.trim().split(',');
+    for (var i = 0; i < items.length; i++) {
+        var item = items[i].trim();
+        if (item === '') continue;
+        res.push(intern((item.indexOf('/') >= 0) ? item.toLowerCase() : item.toUpperCase()));
+    }
+    return res;
+};
+
+// Record (or forget) the member-of and mnt-by attributes of an aut-num or
+// route object. Only objects claiming membership of a set are kept.
+var updateMembership = function(objects, key, memberOf, mntBy, remove) {
+    if (remove || memberOf.length === 0) {
+        delete objects[key];
+    } else {
+        objects[key] = { memberOf: memberOf, mntBy: mntBy };
+    }
+};
+
+// Key of a route object's provenance record: prefix buffer (hex) and origin
+var routeKey = function(prefix, asn) {
+    return prefix.toString('hex') + 'AS' + asn;
+};
+
+// Parse an RPSL object and add it to (or, with remove, delete it from) a
+// database. serial is the NRTM serial or version that brought the change, the
+// database's serial if not given. Changes to the data in use are journaled.
+TinyIRRDBCache.prototype.parsePacket = function(packet, dbName, remove, serial) {
+    var stats = this.stats;
+    var target = this.store(dbName);
+    var touched = this.applyPacket(target, packet, remove, serial);
+    if (touched.rejected) {
+        stats.rejected.inc({ database: dbName });
+        console.log('Rejected object in ' + dbName + ': ' + touched.rejected);
+        return;
+    }
+    // Journaled once accepted, so a replay applies what was applied here
+    if (this.history[dbName] && !this.staging[dbName]) {
+        this.history[dbName].record((serial === undefined) ? target.db.serial : serial, remove, packet);
+    }
+    if (touched.normalised) {
+        stats.normalised.inc({ database: dbName });
+        console.log('Cleared host bits of ' + touched.normalised + ' in ' + dbName);
+    }
+    if (this.staging[dbName]) return;
+    this.expansions.invalidate(dbName, touched.sets, touched.asns);
+    // Noted for the watches
+    var changes = this.changes[dbName] = this.changes[dbName] || { sets: {}, asns: {} };
+    touched.sets.forEach(function(name) {
+        changes.sets[name] = true;
+    });
+    touched.asns.forEach(function(asn) {
+        changes.asns[asn] = true;
+    });
+};
+
+// Apply an RPSL object to a store ({ db, tries }). Returns the names of the
+// sets and the origin ASNs whose expansion it may change: { sets, asns }, and
+// why the object was rejected (rejected) or which prefix had host bits set
+// (normalised), if that's the case.
+TinyIRRDBCache.prototype.applyPacket = function(target, packet, remove, serial) {
+    var db = target.db;
+    var prefix = '';
+    var macro = '';
+    var type = 0;
+    var asn = '';
+    var members = [];
+    var mbrsByRef = [];
+    var memberOf = [];
+    var mntBy = [];
+    var source = null;
+    var lastModified = null;
+    var changed = null;
+    var descr = null;
+    var lastType = '';
+    for (var j = 0; j < packet.length; j++) {
+        var m = packet[j].match(/^([^\s:]*):([^#]*)(#.*)?$/);
+        if (!m) {
+            m = ['', lastType, packet[j].trim()];
+        }
+        lastType = m[1];
+        switch (m[1]) {
+            case 'as-set':
+                if (j !== 0) continue;
+                macro = m[2].trim().toUpperCase();
+                type = 1;
+                break;
+            case 'route':
+                if (j !== 0) continue;
+                prefix = m[2].trim();
+                type = 2;
+                break;
+            case 'route6':
+                if (j !== 0) continue;
+                prefix = m[2].trim();
+                type = 3;
+                break;
+            case 'route-set':
+                if (j !== 0) continue;
+                macro = m[2].trim().toUpperCase();
+                type = 4;
+                break;
+            case 'aut-num':
+                if (j !== 0) continue;
+                asn = parseAsn(m[2].trim());
+                type = 5;
+                break;
+            case 'members':
+            case 'mp-members':
+                members = members.concat(splitList(m[2]));
+                break;
+            case 'mbrs-by-ref':
+                mbrsByRef = mbrsByRef.concat(splitList(m[2]));
+                break;
+            case 'member-of':
+                memberOf = memberOf.concat(splitList(m[2]));
+                break;
+            case 'mnt-by':
+                mntBy = mntBy.concat(splitList(m[2]));
+                break;
+            case 'source':
+                source = m[2].trim().toUpperCase();
+                break;
+            case 'last-modified':
+                lastModified = m[2].trim();
+                break;
+            case 'changed':
+                // 'changed: <email> YYYYMMDD'; the latest one counts
+                var date = m[2].match(/([0-9]{4})([0-9]{2})([0-9]{2})\s*$/);
+                if (date && (!changed || date.slice(1).join('-') > changed)) changed = date.slice(1).join('-');
+                break;
+            case 'descr':
+                if (descr === null) descr = m[2].trim();
+                break;
+            case 'origin':
+                asn = parseAsn(m[2].trim());
+                break;
+        }
+    }
+    var touched = { sets: [], asns: [], rejected: null, normalised: null };
+    var ip = null;
+    if (type == 2 || type == 3) {
+        ip = address.parse(prefix);
+        if (!ip || (ip.length > 5) != (type == 3)) {
+            touched.rejected = 'invalid ' + ((type == 2) ? 'route ' : 'route6 ') + JSON.stringify(prefix);
+            return touched;
+        }
+        if (address.normalise(ip)) touched.normalised = prefix;
+        prefix = address.ip2str(ip);
+    }
+    if ((type == 2 || type == 3 || type == 5) && (asn === null || asn === '')) {
+        touched.rejected = 'invalid or missing ASN in ' + packet[0];
+        return touched;
+    }
+    // Sets an aut-num or route object did or does claim membership of
+    var membership = function(objects, key) {
+        touched.sets = memberOf.concat(objects[key] ? objects[key].memberOf : []);
+    };
+    if (type == 2 || type == 3) {
+        this.updatePrefix(ip, asn, target, remove);
+        membership(db.routeMembers, prefix.toLowerCase() + 'AS' + asn);
+        touched.asns.push(asn);
+        updateMembership(db.routeMembers, prefix.toLowerCase() + 'AS' + asn, memberOf, mntBy, remove);
+    } else if (type == 1) {
+        if (remove) {
+            if (db.macros[macro]) {
+                db.mc--;
+                delete db.macros[macro];
+            } else {
+                console.log('Trying to delete non-existing macro: ' + macro + '. Inconsistency?!');
+            }
+        } else {
+            if (!db.macros[macro]) db.mc++;
+            db.macros[macro] = members;
+        }
+    } else if (type == 4) {
+        if (remove) {
+            delete db.routeSets[macro];
+        } else {
+            db.routeSets[macro] = members;
+        }
+    } else if (type == 5) {
+        membership(db.autnums, asn);
+        updateMembership(db.autnums, asn, memberOf, mntBy, remove);
+    }
+    if (type == 1 || type == 4) {
+        touched.sets.push(macro);
+        if (remove || mbrsByRef.length === 0) {
+            delete db.mbrsByRef[macro];
+        } else {
+            db.mbrsByRef[macro] = mbrsByRef;
+        }
+    }
+    if (type >= 1 && type <= 4) {
+        var key = (type == 2 || type == 3) ? routeKey(ip, asn) : macro;
+        if (remove) {
+            delete db.provenance[key];
+        } else {
+            db.provenance[key] = {
+                mntBy: mntBy.map(intern),
+                source: source && intern(source),
+                lastModified: lastModified || changed,
+                serial: (serial === undefined) ? db.serial : serial,
+                descr: descr
+            };
+        }
+    }
+    return touched;
+};
+
+TinyIRRDBCache.prototype.updatePrefix = function(ip, asn, target, remove) {
+    var db = target.db;
+    var asnBase = (ip.length > 5) ? db.asnv6 : db.asnv4;
+    var trie = target.tries[(ip.length > 5) ? 6 : 4];
+    if (remove) {
+        if (asnBase.remove(asn, ip)) {
+            db.pc--;
+            trie.remove(ip, asn);
+        } else {
+            console.log('Deleted prefix not found: ' + asn + ' -> ' + address.ip2str(ip));
+        }
+    } else {
+        // Route objects are keyed by prefix and origin; an ADD for an
+        // existing one is an update of its other attributes.
+        var node = trie.find(ip, false);
+        if (node && node.origins && node.origins.indexOf(asn) >= 0) return;
+        db.pc++;
+        asnBase.add(asn, ip);
+        trie.add(ip, asn);
+    }
+};
+
+// The database updates go to: the copy being loaded from a dump, if there
+// is one, otherwise the one in use
+TinyIRRDBCache.prototype.store = function(dbName) {
+    var databases = this.databases;
+    return this.staging[dbName] || { db: databases[dbName], tries: this.tries[dbName] };
+};
+
+// Start over with empty reverse lookup tries for a database, filled from
+// whatever is in the store already
+TinyIRRDBCache.prototype.resetTries = function(dbName) {
+    var databases = this.databases;
+    this.tries[dbName] = buildTries(databases[dbName]);
+};
+
+// Provenance of a route object, or null if none was recorded
+TinyIRRDBCache.prototype.provenance = function(dbName, prefix, origin) {
+    var databases = this.databases;
+    var db = databases[dbName];
+    return (db && db.provenance[routeKey(prefix, origin)]) || null;
+};
+
+// Databases as they were at a point ({ serial: n } or { time: ms }) of their
+// history, rebuilt from snapshot and journal; cb(err, { databases, serials })
+TinyIRRDBCache.prototype.historicState = function(sources, point, cb) {
+    var self = this;
+    var databases = this.databases;
+    var res = { databases: {}, serials: {} };
+    var next = function(i) {
+        if (i == sources.length) return cb(null, res);
+        var dbName = sources[i];
+        var history = self.history[dbName];
+        if (!history) return cb(new Error('No history kept for ' + dbName));
+        history.serialAt(point, function(err, serial) {
+            if (err) return cb(err);
+            var target = null;
+            history.replay(serial, {
+                base: function(db) {
+                    target = { db: db, tries: buildTries(db) };
+                },
+                update: function(entry) {
+                    self.applyPacket(target, entry.object, entry.action == 'DEL', entry.serial);
+                    target.db.serial = entry.serial;
+                }
+            }, function(err) {
+                if (err) return cb(err);
+                res.databases[dbName] = target.db;
+                res.serials[dbName] = target.db.serial;
+                next(i + 1);
+            });
+        });
+    };
+    next(0);
+};
+
+// Recompute the watches involving a database whose expansion may have been
+// changed by the updates since the last check (all of them after the database
+// was replaced), and publish the differences.
+TinyIRRDBCache.prototype.checkWatches = function(dbName, all) {
+    var databases = this.databases;
+    var changes = this.changes[dbName] || { sets: {}, asns: {} };
+    delete this.changes[dbName];
+    var self = this;
+    // Every lookup includes the local database
+    var watches = this.config.databases[dbName].local ? this.watches.list(true) : this.watches.forSource(dbName);
+    watches.forEach(function(watch) {
+        var affected = all || watch.sets.some(function(set) {
+            return changes.sets[set];
+        }) || watch.asns.some(function(asn) {
+            return changes.asns[asn];
+        });
+        if (!affected) return;
+        var serials = {};
+        var sources = withLocal(self.config.databases, watch.sources);
+        for (var i = 0; i < sources.length; i++) {
+            // Not loaded yet; its own import or dump triggers a full check
+            if (!databases[sources[i]]) return;
+            serials[sources[i]] = databases[sources[i]].serial;
+        }
+        if (self.watches.update(watch, self.watchExpansion(watch.sources, watch.name), serials)) {
+            console.log('Expansion of watched ' + watch.id + ' changed');
+        }
+    });
+};
+
+// Route objects in all databases that exactly match, cover (less specifics)
+// or are covered by (more specifics, at most limit per database) the given
+// prefix buffer, without those the filter leaves out.
+TinyIRRDBCache.prototype.reverseLookup = function(prefix, limit, withProvenance) {
+    var self = this;
+    var v6 = prefix.length > 5;
+    var res = { query: v6 ? v62str(prefix) : v42str(prefix), exact: [], lessSpecific: [], moreSpecific: [] };
+    var add = function(list, node, dbName) {
+        for (var i = 0; i < node.origins.length; i++) {
+            if (self.filter.checkRoute(node.key, node.origins[i])) continue;
+            var entry = { prefix: v6 ? v62str(node.key) : v42str(node.key), origin: node.origins[i], source: dbName };
+            if (withProvenance) entry.provenance = self.provenance(dbName, node.key, node.origins[i]);
+            list.push(entry);
+        }
+    };
+    for (var dbName in this.tries) {
+        var found = this.tries[dbName][v6 ? 6 : 4].lookup(prefix, limit);
+        if (found.exact) add(res.exact, found.exact, dbName);
+        found.less.forEach(function(node) {
+            add(res.lessSpecific, node, dbName);
+        });
+        found.more.forEach(function(node) {
+            add(res.moreSpecific, node, dbName);
+        });
+    }
+    var byLength = function(a, b) {
+        return parseInt(a.prefix.split('/')[1], 10) - parseInt(b.prefix.split('/')[1], 10);
+    };
+    res.lessSpecific.sort(byLength);
+    res.moreSpecific.sort(byLength);
+    return res;
+};
+// Prefixes (in RPSL notation) and origin ASNs a name expands to, in the
+// databases in use or (dbs) as they were at some point
+TinyIRRDBCache.prototype.expansionLists = function(dbs, sources, name, v6) {
+    var result = (dbs === this.databases) ? this.expansions.expand(sources, name, v6 ? 6 : 4) : expand(dbs, this.config.databases, sources, name, v6 ? 6 : 4, this.filter);
+    var seen = {};
+    var prefixes = [];
+    result.routes.forEach(function(route) {
+        var str = formats.toString({ prefix: v6 ? v62str(route.prefix) : v42str(route.prefix), ge: route.ge, le: route.le });
+        if (seen[str]) return;
+        seen[str] = true;
+        prefixes.push(str);
+    });
+    return { prefixes: prefixes, asns: result.asns, macros: result.macros, sources: result.sources, missing: result.missing, excluded: result.excluded };
+};
+
+// What a watch compares: prefixes of both families, member ASNs and the
+// (unqualified) names of all sets involved, found or not
+TinyIRRDBCache.prototype.watchExpansion = function(sources, name) {
+    sources = withLocal(this.config.databases, sources);
+    var v4 = this.expansionLists(this.databases, sources, name, false);
+    var v6 = this.expansionLists(this.databases, sources, name, true);
+    var sets = [];
+    Object.keys(v4.sources).concat(v4.missing, Object.keys(v6.sources), v6.missing).forEach(function(set) {
+        set = set.replace(/^.*::/, '');
+        if (sets.indexOf(set) < 0) sets.push(set);
+    });
+    return { prefixes: v4.prefixes.concat(v6.prefixes), asns: v4.asns, sets: sets };
+};
+
+// Prefix buffers of the route objects of an origin (a number, or a string as
+// in a legacy lookup, e.g. '15169') in the sources the filter keeps, or
+// undefined if the sources have none
+TinyIRRDBCache.prototype.prefixesOf = function(sources, asn, v6) {
+    var self = this;
+    var res;
+    sources.forEach(function(dbName) {
+        var db = self.databases[dbName];
+        var found = db && db[v6 ? 'asnv6' : 'asnv4'].get(asn);
+        if (found) res = (res || []).concat(found);
+    });
+    if (res && this.filter.active) {
+        res = res.filter(function(prefix) {
+            return !self.filter.checkRoute(prefix, parseAsn(asn));
+        });
+    }
+    return res;
+};
+
+// Database names for sources as given by a user (names or intNames; all
+// databases if null), with the local database in front, or { error, status }
+// (404: unknown, 503: not loaded yet)
+TinyIRRDBCache.prototype.resolveSources = function(names) {
+    var sources = names ? names.slice() : Object.keys(this.config.databases);
+    for (var i = 0; i < sources.length; i++) {
+        var dbName = findSource(this.config.databases, sources[i]);
+        if (!dbName) return { error: 'Unknown database ' + sources[i], status: 404 };
+        sources[i] = dbName;
+    }
+    sources = withLocal(this.config.databases, sources);
+    for (i = 0; i < sources.length; i++) {
+        if (!this.databases[sources[i]]) return { error: 'Database ' + sources[i] + ' is not loaded yet', status: 503 };
+    }
+    return sources;
+};
+
+// Result of compute() to cb(err, result), or as a promise without cb
+var settle = function(cb, compute) {
+    var result;
+    var error = null;
+    try {
+        result = compute();
+    } catch (e) {
+        error = e;
+    }
+    if (cb) {
+        process.nextTick(function() {
+            cb(error, result);
+        });
+        return undefined;
+    }
+    return error ? Promise.reject(error) : Promise.resolve(result);
+};
+
+// Errors of the query methods carry the HTTP status they'd get in the API
+var queryError = function(message, status) {
+    var err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+var queryOptions = function(options, cb) {
+    if (typeof options == 'function') return { options: {}, cb: options };
+    return { options: options || {}, cb: cb };
+};
+
+var queryFamilies = function(family) {
+    if (family === undefined || family === null || family == 'both') return [4, 6];
+    if (family == 4 || family == 6) return [Number(family)];
+    throw queryError('family must be 4, 6 or both', 400);
+};
+
+// Expand an as-set, route-set or ASN. options: sources (list of database
+// names, all by default), family (4, 6 or 'both', the default). Result:
+// { name, sources, serials, prefixes: { ipv4, ipv6 } (RPSL notation), asns,
+// sets, setSources, missing, excluded }
+TinyIRRDBCache.prototype.expand = function(name, options, cb) {
+    var self = this;
+    var args = queryOptions(options, cb);
+    return settle(args.cb, function() {
+        var families = queryFamilies(args.options.family);
+        var sources = self.resolveSources(args.options.sources || null);
+        if (sources.error) throw queryError(sources.error, sources.status);
+        name = String(name).toUpperCase();
+        var res = { name: name, sources: sources, serials: {}, prefixes: {}, asns: [], sets: [], setSources: {}, missing: [], excluded: null };
+        sources.forEach(function(dbName) {
+            res.serials[dbName] = self.databases[dbName].serial;
+        });
+        families.forEach(function(family) {
+            var lists = self.expansionLists(self.databases, sources, name, family == 6);
+            res.prefixes['ipv' + family] = lists.prefixes;
+            res.asns = lists.asns;
+            res.sets = lists.macros;
+            res.setSources = lists.sources;
+            res.missing = lists.missing;
+            res.excluded = {
+                sets: lists.excluded.sets,
+                asns: lists.excluded.asns,
+                prefixes: (res.excluded ? res.excluded.prefixes : []).concat(lists.excluded.prefixes)
+            };
+        });
+        if (parseAsn(name) === null && res.missing.indexOf(name) >= 0) throw queryError(name + ' not found in ' + sources.join(', '), 404);
+        return res;
+    });
+};
+
+// Prefixes of the route objects of an origin ASN (AS123 or 123). options:
+// sources, family as for expand(). Result: { asn, sources, prefixes: { ipv4, ipv6 } }
+TinyIRRDBCache.prototype.originPrefixes = function(asn, options, cb) {
+    var self = this;
+    var args = queryOptions(options, cb);
+    return settle(args.cb, function() {
+        var families = queryFamilies(args.options.family);
+        var origin = parseAsn(asn);
+        if (origin === null) throw queryError('Invalid origin ' + asn, 400);
+        var sources = self.resolveSources(args.options.sources || null);
+        if (sources.error) throw queryError(sources.error, sources.status);
+        var res = { asn: origin, sources: sources, prefixes: {} };
+        families.forEach(function(family) {
+            var seen = {};
+            res.prefixes['ipv' + family] = (self.prefixesOf(sources, origin, family == 6) || []).map(address.ip2str).filter(function(str) {
+                if (seen[str]) return false;
+                seen[str] = true;
+                return true;
+            });
+        });
+        return res;
+    });
+};
+
+// Route objects exactly matching, covering and covered by an address or
+// prefix (see reverseLookup()). options: limit (more specifics per
+// database, default 1000), provenance (true to add it)
+TinyIRRDBCache.prototype.lookup = function(prefix, options, cb) {
+    var self = this;
+    var args = queryOptions(options, cb);
+    return settle(args.cb, function() {
+        var parsed = address.parse(String(prefix), true);
+        if (!parsed) throw queryError('Invalid address or prefix ' + prefix, 400);
+        address.normalise(parsed);
+        return self.reverseLookup(parsed, args.options.limit || 1000, !!args.options.provenance);
+    });
+};
+
+module.exports = {
+    TinyIRRDBCache: TinyIRRDBCache,
+    newDatabase: newDatabase,
+    splitList: splitList
+};
@@ -0,0 +1,439 @@
+/*
+Reading and writing of the .tiny cache files.
+
+Format version 5 (all integers big endian):
+
+  header   'ECXC' | uint16 version | uint16 flags (0) | uint32 serial | uint32 crc32(header so far)
+  record   uint32 length | uint8 type | payload (length - 1 bytes) | uint32 crc32(type + payload)
+  trailer  uint32 0 | uint32 record count | uint32 crc32(everything before this field)
+
+Record types:
+  1  as-set    uint16 name length | name | uint32 members length | members (JSON array)
+  2  asnv4     uint32 asn | uint32 count | count * 5 byte prefixes (up to version 4)
+  3  asnv6     uint32 asn | uint32 count | count * 17 byte prefixes (up to version 4)
+  4  metadata  JSON object of further database properties (e.g. the NRTMv4 session)
+  5  route-set      uint16 name length | name | uint32 length | members (JSON array)
+  6  aut-num        like 5, name is the ASN and the JSON is { memberOf: [], mntBy: [] }
+  7  mbrs-by-ref    like 5, name is an as-set or route-set, the JSON its mbrs-by-ref maintainers
+  8  route member   like 5, name is prefix + origin ('192.0.2.0/24AS65530'), the JSON as for 6
+  9  provenance     like 5, name is a set name or prefix buffer (hex) + origin ('c000020018AS65530'),
+                    the JSON is { mntBy: [], source, lastModified, serial, descr }
+  10 ipv4 prefixes  uint32 origin count n | n * uint32 origin (ascending) | (n + 1) * uint32 offset |
+                    offsets[n] * 5 byte prefixes; the packed arrays of a PrefixStore (lib/store.js)
+  11 ipv6 prefixes  like 10, with 17 byte prefixes
+
+Version 5 files hold all route objects of a family in one record of type 10 or
+11, so they are loaded with a copy of their bytes instead of a buffer per
+prefix; earlier versions have a record of type 2 or 3 per origin. Version 3
+files lack record type 9, version 2 files types 5 to 9. Version 1 files
+('ECXD' | uint32 serial | records without checksums | uint32 0) are still read
+so existing caches survive an upgrade; files are only ever written in the
+current version.
+*/
+
+var
+    fs = require('fs'),
+    store = require('./store');
+
+var VERSION = 5;
+var MAGIC = 'ECXC';
+var MAGIC_V1 = 'ECXD';
+var HEADER_SIZE = 16;
+
+// Database properties stored in the metadata record
+var metaKeys = ['session'];
+
+// Database properties holding the objects of record types 5 to 9
+var namedTypes = { 5: 'routeSets', 6: 'autnums', 7: 'mbrsByRef', 8: 'routeMembers', 9: 'provenance' };
+
+var crcTable = [];
+(function() {
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+    }
+})();
+
+// CRC-32 (IEEE) of buf[start..end), optionally continuing from a previous crc
+var crc32 = function(buf, start, end, crc) {
+    crc = (crc === undefined) ? 0xFFFFFFFF : (crc ^ 0xFFFFFFFF) >>> 0;
+    if (start === undefined) start = 0;
+    if (end === undefined) end = buf.length;
+    for (var i = start; i < end; i++) {
+        crc = crcTable[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+var corrupt = function(msg, offs) {
+    var err = new Error(msg + ' (at byte ' + offs + ')');
+    err.code = 'ECORRUPT';
+    err.offset = offs;
+    return err;
+};
+
+// Parse the payload of a single record into db
+var readRecord = function(db, type, buf, offs, end, utf8) {
+    var need = function(n) {
+        if (offs + n > end) throw corrupt('Record too short', offs);
+    };
+    var len, count, asn, arr, j, x;
+    switch (type) {
+        case 1:
+        case 5:
+        case 6:
+        case 7:
+        case 8:
+        case 9:
+            need(2);
+            len = buf.readUInt16BE(offs); offs += 2;
+            need(len + 4);
+            var name = buf.toString(utf8 ? 'utf8' : 'binary', offs, offs + len); offs += len;
+            len = buf.readUInt32BE(offs); offs += 4;
+            need(len);
+            var value;
+            try {
+                value = JSON.parse(buf.toString(utf8 ? 'utf8' : 'binary', offs, offs + len));
+            } catch (e) {
+                throw corrupt('Invalid content for ' + name, offs);
+            }
+            // Member lists are arrays, the other records objects
+            var list = (type == 1 || type == 5 || type == 7);
+            if (typeof value != 'object' || value === null || Array.isArray(value) != list) {
+                throw corrupt('Invalid content for ' + name, offs);
+            }
+            offs += len;
+            if (list) value = value.map(store.intern);
+            if (type == 1) {
+                db.macros[name] = value;
+                db.mc++;
+            } else {
+                db[namedTypes[type]][name] = value;
+            }
+            break;
+        case 2:
+        case 3:
+            var size = (type == 2) ? 5 : 17;
+            need(8);
+            asn = buf.readUInt32BE(offs); offs += 4;
+            count = buf.readUInt32BE(offs); offs += 4;
+            need(count * size);
+            arr = db[(type == 2) ? 'asnv4' : 'asnv6'];
+            for (j = 0; j < count; j++) {
+                x = new Buffer(size);
+                buf.copy(x, 0, offs, offs + size); offs += size;
+                arr.add(asn, x);
+            }
+            db.pc += count;
+            break;
+        case 10:
+        case 11:
+            var width = (type == 10) ? 5 : 17;
+            need(4);
+            count = buf.readUInt32BE(offs); offs += 4;
+            need(count * 8 + 4);
+            var asns = new Uint32Array(count);
+            var offsets = new Uint32Array(count + 1);
+            for (j = 0; j < count; j++) {
+                asns[j] = buf.readUInt32BE(offs); offs += 4;
+                if (j > 0 && asns[j] <= asns[j - 1]) throw corrupt('Origins out of order', offs - 4);
+            }
+            for (j = 0; j <= count; j++) {
+                offsets[j] = buf.readUInt32BE(offs); offs += 4;
+                if ((j === 0) ? offsets[j] !== 0 : offsets[j] <= offsets[j - 1]) throw corrupt('Invalid prefix offsets', offs - 4);
+            }
+            need(offsets[count] * width);
+            x = new Buffer(offsets[count] * width);
+            buf.copy(x, 0, offs, offs + x.length); offs += x.length;
+            db.pc += offsets[count] - db[(type == 10) ? 'asnv4' : 'asnv6'].load(asns, offsets, x);
+            break;
+        case 4:
+            var meta;
+            try {
+                meta = JSON.parse(buf.toString('utf8', offs, end));
+            } catch (e) {
+                throw corrupt('Invalid metadata', offs);
+            }
+            for (var key in meta) {
+                if (metaKeys.indexOf(key) >= 0) db[key] = meta[key];
+            }
+            offs = end;
+            break;
+        default:
+            throw corrupt('Unknown record type ' + type, offs - 1);
+    }
+    if (offs != end) throw corrupt('Record length mismatch', offs);
+};
+
+var decodeV1 = function(buf, db) {
+    var offs = 8;
+    var len, type;
+    while (true) {
+        if (offs + 4 > buf.length) throw corrupt('Unexpected end of file', offs);
+        len = buf.readUInt32BE(offs); offs += 4;
+        if (len === 0) break;
+        if (offs + len > buf.length) throw corrupt('Unexpected end of file', offs);
+        type = buf.readUInt8(offs);
+        readRecord(db, type, buf, offs + 1, offs + len, false);
+        offs += len;
+    }
+    if (offs != buf.length) throw corrupt('Trailing data after end of records', offs);
+};
+
+var decodeV2 = function(buf, db) {
+    var offs = HEADER_SIZE;
+    var count = 0;
+    var len, type;
+    if (buf.readUInt32BE(12) != crc32(buf, 0, 12)) throw corrupt('Header checksum mismatch', 12);
+    while (true) {
+        if (offs + 4 > buf.length) throw corrupt('Unexpected end of file', offs);
+        len = buf.readUInt32BE(offs); offs += 4;
+        if (len === 0) break;
+        if (offs + len + 4 > buf.length) throw corrupt('Unexpected end of file', offs);
+        if (buf.readUInt32BE(offs + len) != crc32(buf, offs, offs + len)) throw corrupt('Record checksum mismatch', offs);
+        type = buf.readUInt8(offs);
+        readRecord(db, type, buf, offs + 1, offs + len, true);
+        offs += len + 4;
+        count++;
+    }
+    if (offs + 8 != buf.length) throw corrupt('Missing or oversized trailer', offs);
+    if (buf.readUInt32BE(offs) != count) throw corrupt('Record count mismatch', offs);
+    if (buf.readUInt32BE(offs + 4) != crc32(buf, 0, offs + 4)) throw corrupt('File checksum mismatch', offs + 4);
+};
+
+// Parse a cache file's contents. Throws an Error with code 'ECORRUPT'
+// instead of returning a partially loaded database.
+var decode = function(buf) {
+    if (buf.length < 8) throw corrupt('File too short', 0);
+    var magic = buf.toString('binary', 0, 4);
+    var db = { version: 0, serial: 0, macros: {}, routeSets: {}, autnums: {}, mbrsByRef: {}, routeMembers: {}, provenance: {}, asnv4: new store.PrefixStore(5), asnv6: new store.PrefixStore(17), prefixes: {}, pc: 0, mc: 0 };
+    if (magic == MAGIC_V1) {
+        db.version = 1;
+        db.serial = buf.readUInt32BE(4);
+        decodeV1(buf, db);
+        return db;
+    }
+    if (magic != MAGIC) {
+        var err = new Error('Not a TinyIRRDBCache db file (magic ' + JSON.stringify(magic) + ')');
+        err.code = 'ECORRUPT';
+        throw err;
+    }
+    if (buf.length < HEADER_SIZE) throw corrupt('File too short', 0);
+    db.version = buf.readUInt16BE(4);
+    if (db.version < 2 || db.version > VERSION) {
+        var verr = new Error('Unsupported cache file version ' + db.version);
+        verr.code = 'ECORRUPT';
+        throw verr;
+    }
+    db.serial = buf.readUInt32BE(8);
+    decodeV2(buf, db);
+    return db;
+};
+
+var encodeHeader = function(serial) {
+    var buf = new Buffer(HEADER_SIZE);
+    buf.write(MAGIC, 0, 4, 'binary');
+    buf.writeUInt16BE(VERSION, 4);
+    buf.writeUInt16BE(0, 6);
+    buf.writeUInt32BE(serial, 8);
+    buf.writeUInt32BE(crc32(buf, 0, 12), 12);
+    return buf;
+};
+
+// Fill in length and checksum of a record buffer whose payload starts at byte 4
+var sealRecord = function(buf) {
+    buf.writeUInt32BE(buf.length - 8, 0);
+    buf.writeUInt32BE(crc32(buf, 4, buf.length - 4), buf.length - 4);
+    return buf;
+};
+
+// Record with a name and a JSON value (types 1 and 5 to 9)
+var encodeNamed = function(type, key, value) {
+    var name = new Buffer(key, 'utf8');
+    var content = new Buffer(JSON.stringify(value), 'utf8');
+    var buf = new Buffer(4 + 1 + 2 + name.length + 4 + content.length + 4);
+    var offs = 4;
+    buf.writeUInt8(type, offs); offs += 1;
+    buf.writeUInt16BE(name.length, offs); offs += 2;
+    name.copy(buf, offs); offs += name.length;
+    buf.writeUInt32BE(content.length, offs); offs += 4;
+    content.copy(buf, offs);
+    return sealRecord(buf);
+};
+
+// Record of type 10 or 11 from the packed arrays of a PrefixStore
+var encodePrefixes = function(type, packed) {
+    var count = packed.asns.length;
+    var buf = new Buffer(4 + 1 + 4 + count * 8 + 4 + packed.data.length + 4);
+    var offs = 4;
+    var j;
+    buf.writeUInt8(type, offs); offs += 1;
+    buf.writeUInt32BE(count, offs); offs += 4;
+    for (j = 0; j < count; j++) {
+        buf.writeUInt32BE(packed.asns[j], offs); offs += 4;
+    }
+    for (j = 0; j <= count; j++) {
+        buf.writeUInt32BE(packed.offsets[j], offs); offs += 4;
+    }
+    packed.data.copy(buf, offs);
+    return sealRecord(buf);
+};
+
+// Take a shallow copy of everything that will be written, so that updates
+// applied while an export is in progress can't mix into the file.
+var snapshot = function(db) {
+    var entries = [];
+    var meta = {};
+    var key;
+    for (var i = 0; i < metaKeys.length; i++) {
+        if (db[metaKeys[i]] !== undefined) meta[metaKeys[i]] = db[metaKeys[i]];
+    }
+    if (Object.keys(meta).length > 0) entries.push([4, null, meta]);
+    for (key in db.macros) entries.push([1, key, db.macros[key]]);
+    entries.push([10, null, db.asnv4.packed()]);
+    entries.push([11, null, db.asnv6.packed()]);
+    for (var type in namedTypes) {
+        var objects = db[namedTypes[type]] || {};
+        for (key in objects) entries.push([parseInt(type, 10), key, objects[key]]);
+    }
+    return { serial: db.serial, entries: entries };
+};
+
+var encodeMeta = function(meta) {
+    var content = new Buffer(JSON.stringify(meta), 'utf8');
+    var buf = new Buffer(4 + 1 + content.length + 4);
+    buf.writeUInt8(4, 4);
+    content.copy(buf, 5);
+    return sealRecord(buf);
+};
+
+var encodeEntry = function(entry) {
+    if (entry[0] == 4) return encodeMeta(entry[2]);
+    if (entry[0] == 10 || entry[0] == 11) return encodePrefixes(entry[0], entry[2]);
+    return encodeNamed(entry[0], entry[1], entry[2]);
+};
+
+var encodeTrailer = function(count, crc) {
+    var buf = new Buffer(12);
+    buf.writeUInt32BE(0, 0);
+    buf.writeUInt32BE(count, 4);
+    buf.writeUInt32BE(crc32(buf, 0, 8, crc), 8);
+    return buf;
+};
+
+// Serialise a database into the current format, all at once
+var encode = function(db) {
+    var snap = snapshot(db);
+    var bufs = [encodeHeader(snap.serial)];
+    var crc = crc32(bufs[0]);
+    for (var i = 0; i < snap.entries.length; i++) {
+        bufs.push(encodeEntry(snap.entries[i]));
+        crc = crc32(bufs[i + 1], 0, bufs[i + 1].length, crc);
+    }
+    bufs.push(encodeTrailer(snap.entries.length, crc));
+    return Buffer.concat(bufs);
+};
+
+var read = function(file, cb) {
+    fs.readFile(file, function(err, buf) {
+        if (err) return cb(err);
+        var db;
+        try {
+            db = decode(buf);
+        } catch (e) {
+            return cb(e);
+        }
+        cb(null, db);
+    });
+};
+
+var BATCH_SIZE = 1024 * 1024;
+
+// Stream a database to disk. Records are encoded in batches of about
+// BATCH_SIZE bytes and the event loop gets control back while each batch is
+// written, so exporting a large database doesn't stall the HTTP server.
+//
+// The data goes to a temporary file which is fsynced and renamed over the
+// old cache file, so that a crash leaves either the old or the new file,
+// never half of one.
+//
+// onProgress(records, totalRecords, bytes) is called after every batch.
+// cb(err, { records: n, bytes: n, serial: n }) is called once the file is in place.
+var write = function(file, db, cb, onProgress) {
+    var snap = snapshot(db);
+    var tmp = file + '.tmp';
+    var fail = function(err) {
+        fs.unlink(tmp, function() {
+            cb(err);
+        });
+    };
+    fs.open(tmp, 'w', function(err, fd) {
+        if (err) return cb(err);
+        var bytes = 0;
+        var crc;
+        var i = 0;
+        var abort = function(err) {
+            fs.close(fd, function() {
+                fail(err);
+            });
+        };
+        var writeAll = function(buf, next) {
+            var offs = 0;
+            var written = function(err, n) {
+                if (err) return abort(err);
+                offs += n;
+                bytes += n;
+                if (offs < buf.length) {
+                    fs.write(fd, buf, offs, buf.length - offs, bytes, written);
+                    return;
+                }
+                next();
+            };
+            fs.write(fd, buf, 0, buf.length, bytes, written);
+        };
+        var finish = function() {
+            writeAll(encodeTrailer(snap.entries.length, crc), function() {
+                fs.fsync(fd, function(err) {
+                    fs.close(fd, function(err2) {
+                        if (err || err2) return fail(err || err2);
+                        fs.rename(tmp, file, function(err) {
+                            if (err) return fail(err);
+                            cb(null, { records: snap.entries.length, bytes: bytes, serial: snap.serial });
+                        });
+                    });
+                });
+            });
+        };
+        var batch = function() {
+            if (i >= snap.entries.length) return finish();
+            var bufs = [];
+            var size = 0;
+            var buf;
+            while (i < snap.entries.length && size < BATCH_SIZE) {
+                buf = encodeEntry(snap.entries[i++]);
+                crc = crc32(buf, 0, buf.length, crc);
+                bufs.push(buf);
+                size += buf.length;
+            }
+            writeAll(Buffer.concat(bufs, size), function() {
+                if (onProgress) onProgress(i, snap.entries.length, bytes);
+                batch();
+            });
+        };
+        var header = encodeHeader(snap.serial);
+        crc = crc32(header);
+        writeAll(header, batch);
+    });
+};
+
+module.exports = {
+    VERSION: VERSION,
+    crc32: crc32,
+    decode: decode,
+    encode: encode,
+    read: read,
+    write: write
+};
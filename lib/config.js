@@ -0,0 +1,355 @@
+/*
+Configuration handling for TinyIRRDBCache.
+
+Settings are taken from (later ones win):
+ - the built-in defaults below
+ - a JSON config file (--config, $TINYIRRDBCACHE_CONFIG or config.json next to index.js)
+ - environment variables ($TINYIRRDBCACHE_*)
+ - command line flags
+*/
+
+var
+    fs = require('fs'),
+    path = require('path'),
+    validEntry = require('./filters').validEntry;
+
+var defaults = {
+    listen: {
+        host: '0.0.0.0',
+        port: 8086
+    },
+    whois: {
+        host: '0.0.0.0',
+        port: null // IRRd style whois queries (e.g. for bgpq4); null disables the listener
+    },
+    cacheDir: '/tmp',
+    user: 'nobody',
+    group: 'nobody',
+    intervals: {
+        realtime: 600, // seconds between NRTM fetches
+        retry: 60, // seconds to wait after a failed NRTM connection, or a failed dump of a database without data
+        timeout: 300 // seconds of NRTM inactivity before giving up on a session
+    },
+    rpki: {
+        file: null, // VRP export (JSON or CSV) used to validate lookup results
+        interval: 60 // seconds between checks whether the file changed
+    },
+    downloads: {
+        retries: 3, // times a failed serial or dump download is retried
+        backoff: 30 // seconds before the first retry, doubled for each further one
+    },
+    history: {
+        enabled: false, // journal of applied updates and snapshots, for lookups as of an earlier time
+        retention: 2592000, // seconds the history is kept
+        snapshotInterval: 86400 // seconds between snapshots
+    },
+    notifications: {
+        webhook: null, // URL changes to watched sets are POSTed to; null to only use the event stream
+        secret: null, // key for the HMAC-SHA256 signature of webhook requests
+        retries: 5, // times a failed webhook request is retried
+        backoff: 10 // seconds before the first retry, doubled for each further one
+    },
+    expansionCache: {
+        size: 1000 // set expansions kept until an update touches them; 0 disables the cache
+    },
+    local: {
+        path: null, // RPSL file, or directory of them, served as the database 'local' in front of all others
+        interval: 10 // seconds between checks whether it changed
+    },
+    filters: {
+        exclude: [], // ASNs, prefixes (and their more specifics) and set names left out of every result
+        bogons: false, // leave out route objects for martian and reserved address space
+        reservedAsns: false // leave out AS0, AS23456, private, documentation and other reserved ASNs
+    },
+    databases: {}
+};
+
+// Settings that may be overridden from the environment or the command line.
+// 'key' is the path into the config object.
+var options = [
+    { flag: 'host', env: 'HOST', key: ['listen', 'host'], type: 'string', help: 'address the HTTP server listens on' },
+    { flag: 'port', env: 'PORT', key: ['listen', 'port'], type: 'port', help: 'port the HTTP server listens on' },
+    { flag: 'whois-host', env: 'WHOIS_HOST', key: ['whois', 'host'], type: 'string', help: 'address the whois server listens on' },
+    { flag: 'whois-port', env: 'WHOIS_PORT', key: ['whois', 'port'], type: 'port', nullable: true, help: 'port of the whois server (none to disable)' },
+    { flag: 'cache-dir', env: 'CACHE_DIR', key: ['cacheDir'], type: 'string', help: 'directory for the .tiny cache files' },
+    { flag: 'user', env: 'USER', key: ['user'], type: 'string', nullable: true, help: 'user to drop to when started as root' },
+    { flag: 'group', env: 'GROUP', key: ['group'], type: 'string', nullable: true, help: 'group to drop to when started as root' },
+    { flag: 'realtime-interval', env: 'REALTIME_INTERVAL', key: ['intervals', 'realtime'], type: 'seconds', help: 'seconds between NRTM fetches' },
+    { flag: 'retry-interval', env: 'RETRY_INTERVAL', key: ['intervals', 'retry'], type: 'seconds', help: 'seconds before retrying a failed NRTM connection or first dump' },
+    { flag: 'webhook', env: 'WEBHOOK', key: ['notifications', 'webhook'], type: 'string', nullable: true, help: 'URL changes to watched sets are posted to' },
+    { flag: 'webhook-secret', env: 'WEBHOOK_SECRET', key: ['notifications', 'secret'], type: 'string', nullable: true, help: 'HMAC key for signing webhook requests' },
+    { flag: 'vrps', env: 'VRPS', key: ['rpki', 'file'], type: 'string', help: 'VRP file for RPKI validation of lookup results' },
+    { flag: 'local', env: 'LOCAL', key: ['local', 'path'], type: 'string', nullable: true, help: 'RPSL file or directory served as the local database' }
+];
+
+var envPrefix = 'TINYIRRDBCACHE_';
+
+var databaseKeys = ['serial', 'dump', 'realtimeType', 'realtimeHost', 'realtimePort', 'intName', 'notificationUrl', 'publicKey'];
+
+// 'whois' is what older configs used for NRTMv3
+var realtimeTypes = ['nrtmv3', 'whois', 'nrtmv4'];
+
+var usage = function() {
+    var lines = [
+        'usage: node index.js [options]',
+        '',
+        '  --config <file>              JSON config file (env ' + envPrefix + 'CONFIG)'
+    ];
+    for (var i = 0; i < options.length; i++) {
+        var name = '  --' + options[i].flag + ' <value>';
+        while (name.length < 31) name += ' ';
+        lines.push(name + options[i].help + ' (env ' + envPrefix + options[i].env + ')');
+    }
+    lines.push('  --help                       show this message');
+    return lines.join('\n');
+};
+
+var clone = function(obj) {
+    return JSON.parse(JSON.stringify(obj));
+};
+
+var merge = function(target, source) {
+    for (var key in source) {
+        if (source[key] !== null && typeof source[key] == 'object' && !Array.isArray(source[key]) &&
+                target[key] !== null && typeof target[key] == 'object' && key != 'databases') {
+            merge(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    }
+    return target;
+};
+
+var setKey = function(obj, key, value) {
+    for (var i = 0; i < key.length - 1; i++) {
+        if (typeof obj[key[i]] != 'object' || obj[key[i]] === null) obj[key[i]] = {};
+        obj = obj[key[i]];
+    }
+    obj[key[key.length - 1]] = value;
+};
+
+// Values from the environment and the command line are strings; convert
+// them to what the config file would contain.
+var convert = function(option, value) {
+    if (option.nullable && (value === '' || value == 'none')) return null;
+    if (option.type == 'port' || option.type == 'seconds') {
+        return (/^[0-9]+$/).test(value) ? parseInt(value, 10) : value;
+    }
+    return value;
+};
+
+var parseArgs = function(argv) {
+    var res = { config: null, help: false, values: [] };
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var m = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!m) throw new Error('Unexpected argument: ' + arg + '\n\n' + usage());
+        if (m[1] == 'help') {
+            res.help = true;
+            continue;
+        }
+        var value = m[2];
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw new Error('Missing value for --' + m[1]);
+            value = argv[++i];
+        }
+        if (m[1] == 'config') {
+            res.config = value;
+            continue;
+        }
+        var option = null;
+        for (var j = 0; j < options.length; j++) {
+            if (options[j].flag == m[1]) option = options[j];
+        }
+        if (!option) throw new Error('Unknown option: --' + m[1] + '\n\n' + usage());
+        res.values.push({ option: option, value: convert(option, value) });
+    }
+    return res;
+};
+
+var isUrl = function(value) {
+    return typeof value == 'string' && (/^(ftp|https?|file):\/\/.+/).test(value);
+};
+
+var validate = function(config) {
+    var errors = [];
+    var check = function(ok, msg) {
+        if (!ok) errors.push(msg);
+    };
+    var known = ['listen', 'whois', 'cacheDir', 'user', 'group', 'intervals', 'rpki', 'downloads', 'history', 'notifications', 'expansionCache', 'local', 'filters', 'databases'];
+    for (var key in config) {
+        check(known.indexOf(key) >= 0, 'unknown setting "' + key + '"');
+    }
+    ['listen', 'whois', 'intervals', 'rpki', 'downloads', 'history', 'notifications', 'expansionCache', 'local', 'filters'].forEach(function(name) {
+        if (typeof config[name] != 'object' || config[name] === null) {
+            errors.push(name + ' must be an object');
+            config[name] = {};
+        }
+    });
+
+    check(typeof config.listen.host == 'string' && config.listen.host !== '', 'listen.host must be a non-empty string');
+    var port = config.listen.port;
+    check(typeof port == 'number' && port % 1 === 0 && port > 0 && port < 65536, 'listen.port must be a number between 1 and 65535, got ' + JSON.stringify(port));
+    check(typeof config.whois.host == 'string' && config.whois.host !== '', 'whois.host must be a non-empty string');
+    port = config.whois.port;
+    check(port === null || (typeof port == 'number' && port % 1 === 0 && port > 0 && port < 65536), 'whois.port must be a number between 1 and 65535 or null, got ' + JSON.stringify(port));
+    check(typeof config.cacheDir == 'string' && config.cacheDir !== '', 'cacheDir must be a non-empty string');
+    if (typeof config.cacheDir == 'string' && config.cacheDir !== '') {
+        var stat = null;
+        try {
+            stat = fs.statSync(config.cacheDir);
+        } catch (e) {
+        }
+        check(stat && stat.isDirectory(), 'cacheDir ' + config.cacheDir + ' does not exist or is not a directory');
+    }
+    check(config.user === null || (typeof config.user == 'string' && config.user !== ''), 'user must be a user name or null');
+    check(config.group === null || (typeof config.group == 'string' && config.group !== ''), 'group must be a group name or null');
+    ['realtime', 'retry', 'timeout'].forEach(function(name) {
+        var value = config.intervals[name];
+        check(typeof value == 'number' && value > 0, 'intervals.' + name + ' must be a positive number of seconds, got ' + JSON.stringify(value));
+    });
+    check(config.rpki.file === null || (typeof config.rpki.file == 'string' && config.rpki.file !== ''), 'rpki.file must be a file name or null');
+    check(typeof config.rpki.interval == 'number' && config.rpki.interval > 0, 'rpki.interval must be a positive number of seconds, got ' + JSON.stringify(config.rpki.interval));
+    var retries = config.downloads.retries;
+    check(typeof retries == 'number' && retries % 1 === 0 && retries >= 0, 'downloads.retries must be a whole number >= 0, got ' + JSON.stringify(retries));
+    check(typeof config.downloads.backoff == 'number' && config.downloads.backoff > 0, 'downloads.backoff must be a positive number of seconds, got ' + JSON.stringify(config.downloads.backoff));
+    check(typeof config.history.enabled == 'boolean', 'history.enabled must be true or false');
+    check(typeof config.history.retention == 'number' && config.history.retention > 0, 'history.retention must be a positive number of seconds, got ' + JSON.stringify(config.history.retention));
+    var webhook = config.notifications.webhook;
+    check(webhook === null || (typeof webhook == 'string' && (/^https?:\/\//).test(webhook)), 'notifications.webhook must be an http(s) URL or null, got ' + JSON.stringify(webhook));
+    check(config.notifications.secret === null || (typeof config.notifications.secret == 'string' && config.notifications.secret !== ''), 'notifications.secret must be a non-empty string or null');
+    retries = config.notifications.retries;
+    check(typeof retries == 'number' && retries % 1 === 0 && retries >= 0, 'notifications.retries must be a whole number >= 0, got ' + JSON.stringify(retries));
+    check(typeof config.notifications.backoff == 'number' && config.notifications.backoff > 0, 'notifications.backoff must be a positive number of seconds, got ' + JSON.stringify(config.notifications.backoff));
+    var size = config.expansionCache.size;
+    check(typeof size == 'number' && size % 1 === 0 && size >= 0, 'expansionCache.size must be a whole number >= 0, got ' + JSON.stringify(size));
+    check(typeof config.history.snapshotInterval == 'number' && config.history.snapshotInterval > 0, 'history.snapshotInterval must be a positive number of seconds, got ' + JSON.stringify(config.history.snapshotInterval));
+    check(config.local.path === null || (typeof config.local.path == 'string' && config.local.path !== ''), 'local.path must be a file or directory name or null');
+    check(typeof config.local.interval == 'number' && config.local.interval > 0, 'local.interval must be a positive number of seconds, got ' + JSON.stringify(config.local.interval));
+    if (Array.isArray(config.filters.exclude)) {
+        config.filters.exclude.forEach(function(entry) {
+            check(validEntry(entry), 'filters.exclude: ' + JSON.stringify(entry) + ' is not an ASN, prefix or set name');
+        });
+    } else {
+        errors.push('filters.exclude must be a list of ASNs, prefixes and set names');
+    }
+    check(typeof config.filters.bogons == 'boolean', 'filters.bogons must be true or false');
+    check(typeof config.filters.reservedAsns == 'boolean', 'filters.reservedAsns must be true or false');
+
+    if (typeof config.databases != 'object' || config.databases === null || Array.isArray(config.databases)) {
+        errors.push('databases must be an object mapping database names to their settings');
+        return errors;
+    }
+    var names = Object.keys(config.databases);
+    check(names.length > 0 || config.local.path, 'no databases configured');
+    var local = config.databases.local;
+    check(!local || (local.local === true && config.local.path), 'databases.local: the name is taken by the local database (local.path)');
+    names.forEach(function(name) {
+        var db = config.databases[name];
+        var prefix = 'databases.' + name + ': ';
+        check((/^[a-z0-9_-]+$/i).test(name), prefix + 'name may only contain letters, digits, "-" and "_"');
+        if (typeof db != 'object' || db === null) {
+            errors.push(prefix + 'settings must be an object');
+            return;
+        }
+        // Added by addLocal()
+        if (db.local === true && config.local.path) return;
+        for (var key in db) {
+            check(databaseKeys.indexOf(key) >= 0, prefix + 'unknown setting "' + key + '"');
+        }
+        check(db.realtimeType === undefined || realtimeTypes.indexOf(db.realtimeType) >= 0, prefix + 'realtimeType must be one of ' + realtimeTypes.join(', '));
+        if (db.realtimeType == 'nrtmv4') {
+            check(typeof db.notificationUrl == 'string' && (/^https?:\/\/.+/).test(db.notificationUrl), prefix + 'notificationUrl must be the http(s):// URL of the NRTMv4 update notification file');
+            check(typeof db.publicKey == 'string' && db.publicKey !== '', prefix + 'publicKey (PEM or base64 Ed25519 key) is required for nrtmv4');
+            check(typeof db.intName == 'string', prefix + 'intName is required for nrtmv4');
+        } else {
+            check(db.notificationUrl === undefined && db.publicKey === undefined, prefix + 'notificationUrl and publicKey are only used with realtimeType nrtmv4');
+            check(isUrl(db.serial), prefix + 'serial must be an ftp://, http(s):// or file:// URL');
+        }
+        check(db.serial === undefined || isUrl(db.serial), prefix + 'serial must be an ftp://, http(s):// or file:// URL');
+        check(db.dump === undefined || isUrl(db.dump), prefix + 'dump must be an ftp://, http(s):// or file:// URL');
+        check(db.realtimeHost === undefined || (typeof db.realtimeHost == 'string' && db.realtimeHost !== ''), prefix + 'realtimeHost must be a host name');
+        check(db.realtimePort === undefined || (typeof db.realtimePort == 'number' && db.realtimePort % 1 === 0 && db.realtimePort > 0 && db.realtimePort < 65536),
+            prefix + 'realtimePort must be a number between 1 and 65535');
+        check(db.intName === undefined || (typeof db.intName == 'string' && (/^[A-Z0-9_-]+$/i).test(db.intName)), prefix + 'intName must be a registry source name like RIPE');
+        check(!(db.realtimeHost && db.realtimePort) || db.intName, prefix + 'intName is required for realtime updates');
+    });
+    return errors;
+};
+
+// The local database goes first, so lookups listing all databases prefer
+// its sets
+var addLocal = function(config) {
+    if (!config.local.path) return;
+    var databases = { local: { intName: 'LOCAL', local: true } };
+    for (var dbName in config.databases) {
+        if (dbName != 'local') databases[dbName] = config.databases[dbName];
+    }
+    config.databases = databases;
+};
+
+var load = function(argv, env) {
+    var args = parseArgs(argv || []);
+    env = env || {};
+    var config = clone(defaults);
+    if (args.help) {
+        config.help = true;
+        return config;
+    }
+
+    var file = args.config || env[envPrefix + 'CONFIG'];
+    if (!file && fs.existsSync(path.join(__dirname, '..', 'config.json'))) {
+        file = path.join(__dirname, '..', 'config.json');
+    }
+    if (file) {
+        var content;
+        try {
+            content = fs.readFileSync(file, 'utf8');
+        } catch (e) {
+            throw new Error('Could not read config file ' + file + ': ' + e.message);
+        }
+        try {
+            content = JSON.parse(content);
+        } catch (e) {
+            throw new Error('Config file ' + file + ' is not valid JSON: ' + e.message);
+        }
+        if (typeof content != 'object' || content === null || Array.isArray(content)) {
+            throw new Error('Config file ' + file + ' must contain a JSON object');
+        }
+        merge(config, content);
+    }
+
+    var i;
+    for (i = 0; i < options.length; i++) {
+        if (env[envPrefix + options[i].env] !== undefined) {
+            setKey(config, options[i].key, convert(options[i], env[envPrefix + options[i].env]));
+        }
+    }
+    for (i = 0; i < args.values.length; i++) {
+        setKey(config, args.values[i].option.key, args.values[i].value);
+    }
+
+    return create(config, file);
+};
+
+// Complete and check settings given as an object like the config file (for
+// the library; what is missing gets the defaults). Throws an error listing
+// all problems; label says where the settings came from. Settings create()
+// returned may be passed again.
+var create = function(settings, label) {
+    var config = merge(clone(defaults), clone(settings || {}));
+    var errors = validate(config);
+    if (errors.length > 0) {
+        throw new Error('Invalid configuration' + (label ? ' (' + label + ')' : '') + ':\n - ' + errors.join('\n - '));
+    }
+    addLocal(config);
+    return config;
+};
+
+module.exports = {
+    defaults: defaults,
+    create: create,
+    load: load,
+    usage: usage,
+    validate: validate
+};
@@ -0,0 +1,501 @@
+/*
+AS-SET and route-set expansion across one or more databases.
+
+Sources are given as an ordered list of database names (like bgpq4's -S RIPE,RADB,ARIN).
+Every set is taken from the first source that has it, unless it is qualified with
+a source name ('RIPE::AS-FOO'), in which case only that database is consulted.
+Route objects for the member ASNs are gathered from all selected sources.
+
+Route-set members may be prefixes, ASNs, as-sets and other route-sets, each
+optionally followed by an RPSL range operator (^-, ^+, ^n or ^n-m; RFC 2622
+5.2). Operators applied to a set apply to all its prefixes; where operators
+are stacked the resulting range is the more specific one.
+
+Sets with mbrs-by-ref also get the aut-nums (for as-sets) or route objects
+(for route-sets) of the same database that name them in member-of and are
+maintained by one of the listed maintainers (or by anyone, for ANY).
+
+tree() walks the same way, but keeps the structure and everything that
+didn't resolve, for finding out why a prefix is missing from a filter.
+
+Both take an optional Filter (lib/filters.js) of sets, ASNs and prefixes to
+leave out.
+*/
+
+var
+    address = require('./address'),
+    str2ip = address.str2ip;
+
+// Map of upper case source names (database name and intName) to database names
+var sourceNames = function(dbConfig) {
+    var names = {};
+    for (var dbName in dbConfig) {
+        names[dbName.toUpperCase()] = dbName;
+        if (dbConfig[dbName].intName) names[dbConfig[dbName].intName.toUpperCase()] = dbName;
+    }
+    return names;
+};
+
+// Find the database name for a source given by the user (e.g. 'RIPE' or 'ripe')
+var findSource = function(dbConfig, name) {
+    return sourceNames(dbConfig)[name.toUpperCase()] || null;
+};
+
+// Sources with the local override database (see the local setting) in front
+// of them, unless they name it already; lookups always include it
+var withLocal = function(dbConfig, sources) {
+    return Object.keys(dbConfig).filter(function(dbName) {
+        return dbConfig[dbName].local && sources.indexOf(dbName) < 0;
+    }).concat(sources);
+};
+
+var parseAsn = function(name) {
+    var m = String(name).match(/^(?:AS)?([0-9]+)$/i);
+    return m ? parseInt(m[1], 10) : null;
+};
+
+// Length range [ge, le] of a prefix of length len after applying the range
+// operators ops (e.g. ['^+', '^24']), or null if no length is left
+var applyOps = function(ops, len, bits) {
+    var range = [len, len];
+    for (var i = 0; i < ops.length; i++) {
+        var m = ops[i].match(/^\^(?:(-)|(\+)|([0-9]+)(?:-([0-9]+))?)$/);
+        var lo = m[1] ? len + 1 : m[2] ? len : parseInt(m[3], 10);
+        var hi = (m[1] || m[2]) ? bits : m[4] ? parseInt(m[4], 10) : lo;
+        range = [Math.max(range[0], lo), Math.max(range[1], hi)];
+    }
+    range[1] = Math.min(range[1], bits);
+    return (range[0] <= range[1]) ? range : null;
+};
+
+// Stacked range operators reduced to the fewest giving the same range for any
+// prefix: ^- or ^+ (^- wins), and one ^n-m with the largest bounds. Sets
+// looping through a member with an operator then come round with the same
+// operators again, instead of an ever longer list.
+var combineOps = function(ops) {
+    if (ops.length < 2) return ops;
+    var relative = null;
+    var lo = -1;
+    var hi = -1;
+    for (var i = 0; i < ops.length; i++) {
+        var m = ops[i].match(/^\^(?:(-)|(\+)|([0-9]+)(?:-([0-9]+))?)$/);
+        if (m[1]) {
+            relative = '^-';
+        } else if (m[2]) {
+            relative = relative || '^+';
+        } else {
+            lo = Math.max(lo, parseInt(m[3], 10));
+            hi = Math.max(hi, m[4] ? parseInt(m[4], 10) : parseInt(m[3], 10));
+        }
+    }
+    var res = relative ? [relative] : [];
+    if (lo >= 0) res.push('^' + lo + '-' + hi);
+    return res;
+};
+
+// Is an object with the given mnt-by allowed to join a set by member-of?
+var authorised = function(mbrsByRef, mntBy) {
+    if (mbrsByRef.indexOf('ANY') >= 0) return true;
+    for (var i = 0; i < mntBy.length; i++) {
+        if (mbrsByRef.indexOf(mntBy[i]) >= 0) return true;
+    }
+    return false;
+};
+
+// A set given as 'NAME' or 'SOURCE::NAME' in the first of the sources that has it:
+// { source, db, name, routeSet, members }, or null. names: see sourceNames()
+var findSet = function(databases, names, sources, macro) {
+    var candidates = sources;
+    var setName = macro;
+    var m = macro.match(/^([A-Z0-9_-]+)::(.+)$/i);
+    if (m) {
+        if (!names[m[1].toUpperCase()]) return null;
+        candidates = [names[m[1].toUpperCase()]];
+        setName = m[2];
+    }
+    for (var i = 0; i < candidates.length; i++) {
+        var db = databases[candidates[i]];
+        if (!db) continue;
+        if (db.macros[setName]) return { source: candidates[i], db: db, name: setName, routeSet: false, members: db.macros[setName] };
+        if (db.routeSets && db.routeSets[setName]) return { source: candidates[i], db: db, name: setName, routeSet: true, members: db.routeSets[setName] };
+    }
+    return null;
+};
+
+// Split a set member into the member itself and its range operator (or null)
+var splitMember = function(str) {
+    var m = str.match(/^(.*?)(\^(?:-|\+|[0-9]+(?:-[0-9]+)?))?$/);
+    return { member: m[1], op: m[2] || null };
+};
+
+// Members a set found by findSet() gets by mbrs-by-ref: ASNs (for as-sets)
+// or { prefix: text, origin } (for route-sets)
+var membersByRef = function(found) {
+    var res = [];
+    var mbrsByRef = found.db.mbrsByRef && found.db.mbrsByRef[found.name];
+    if (!mbrsByRef) return res;
+    var objects = (found.routeSet ? found.db.routeMembers : found.db.autnums) || {};
+    for (var key in objects) {
+        if (objects[key].memberOf.indexOf(found.name) < 0 || !authorised(mbrsByRef, objects[key].mntBy)) continue;
+        if (!found.routeSet) {
+            res.push(parseInt(key, 10));
+            continue;
+        }
+        var route = key.match(/^(.+\/[0-9]+)AS([0-9]+)$/i);
+        if (route) res.push({ prefix: route[1], origin: parseInt(route[2], 10) });
+    }
+    return res;
+};
+
+// Expand a set (or a single ASN given as 'AS123' or '123') into its member
+// ASNs and their route objects of the given family (4 or 6).
+//
+// Result:
+//   macros   nested sets in the order they were found, as referenced
+//   sources  set name -> database it was resolved from
+//   missing  sets not found in any selected source
+//   asns     member ASNs
+//   routes   { prefix: Buffer, origin: asn, source: dbName }, with ge and le
+//            set for prefixes a range operator applies to. Prefixes listed in
+//            a route-set have origin null.
+//   excluded { sets, asns, prefixes (strings) } left out by the filter
+var expand = function(databases, dbConfig, sources, name, family, filter) {
+    var asnKey = (family == 6) ? 'asnv6' : 'asnv4';
+    var bits = (family == 6) ? 128 : 32;
+    var names = sourceNames(dbConfig);
+    var result = { macros: [], sources: {}, missing: [], asns: [], routes: [], excluded: { sets: [], asns: [], prefixes: [] } };
+    var seenExcluded = {};
+    var seenSets = {};
+    var seenMacros = {};
+    var seenMissing = {};
+    var seenAsns = {};
+    var asnRefs = [];
+    var seenRefs = {};
+
+    // Note something the filter left out, once
+    var exclude = function(list, item) {
+        var key = list + ' ' + item;
+        if (seenExcluded[key]) return;
+        seenExcluded[key] = true;
+        result.excluded[list].push(item);
+    };
+
+    // An ASN whose route objects are included, with the operators applying to them
+    var addAsn = function(asn, ops) {
+        if (filter && filter.checkAsn(asn)) return exclude('asns', asn);
+        if (!seenAsns[asn]) {
+            seenAsns[asn] = true;
+            result.asns.push(asn);
+        }
+        var key = asn + ops.join('');
+        if (seenRefs[key]) return;
+        seenRefs[key] = true;
+        asnRefs.push([asn, ops]);
+    };
+
+    var addRoute = function(prefix, origin, source, ops) {
+        if (filter && origin !== null && filter.checkAsn(origin)) return exclude('asns', origin);
+        if (filter && filter.checkPrefix(prefix)) return exclude('prefixes', address.ip2str(prefix));
+        var len = prefix[prefix.length - 1];
+        var range = applyOps(ops, len, bits);
+        if (!range) return;
+        var route = { prefix: prefix, origin: origin, source: source };
+        if (range[0] != len || range[1] != len) {
+            route.ge = range[0];
+            route.le = range[1];
+        }
+        result.routes.push(route);
+    };
+
+    var walk = function(macro, ops) {
+        var found = findSet(databases, names, sources, macro);
+        if (!found) {
+            if (!seenMissing[macro]) result.missing.push(macro);
+            seenMissing[macro] = true;
+            return;
+        }
+        result.sources[macro] = found.source;
+        var i;
+        for (i = 0; i < found.members.length; i++) {
+            var split = splitMember(found.members[i]);
+            var member = split.member;
+            var memberOps = split.op ? combineOps(ops.concat(split.op)) : ops;
+            var asn = parseAsn(member);
+            if (member.indexOf('/') >= 0) {
+                // Prefixes only appear in route-sets
+                var prefix = str2ip(member);
+                if (prefix && (prefix.length > 5) == (family == 6)) addRoute(prefix, null, found.source, memberOps);
+            } else if (asn !== null && (/^AS/i).test(member)) {
+                addAsn(asn, memberOps);
+            } else {
+                // Should be another set
+                visit(member, memberOps);
+            }
+        }
+        membersByRef(found).forEach(function(ref) {
+            if (!found.routeSet) {
+                addAsn(ref, ops);
+            } else if ((ref.prefix.indexOf(':') >= 0) == (family == 6)) {
+                addRoute(str2ip(ref.prefix), ref.origin, found.source, ops);
+            }
+        });
+    };
+
+    var visit = function(macro, ops) {
+        if (filter && filter.checkSet(macro)) return exclude('sets', macro);
+        var key = macro + ops.join('');
+        if (seenSets[key]) return;
+        seenSets[key] = true;
+        if (!seenMacros[macro]) result.macros.push(macro);
+        seenMacros[macro] = true;
+        walk(macro, ops);
+    };
+
+    name = String(name).toUpperCase();
+    var rootAsn = parseAsn(name);
+    if (rootAsn !== null) {
+        addAsn(rootAsn, []);
+    } else if (filter && filter.checkSet(name)) {
+        exclude('sets', name);
+    } else {
+        seenSets[name] = true;
+        walk(name, []);
+    }
+
+    for (var i = 0; i < asnRefs.length; i++) {
+        var asn = asnRefs[i][0];
+        for (var j = 0; j < sources.length; j++) {
+            var db = databases[sources[j]];
+            var prefixes = db && db[asnKey].get(asn);
+            if (!prefixes) continue;
+            for (var k = 0; k < prefixes.length; k++) {
+                addRoute(prefixes[k], asn, sources[j], asnRefs[i][1]);
+            }
+        }
+    }
+    return result;
+};
+
+// Is name (without a source) a valid as-set or route-set name? Those are
+// AS-/RS- names, optionally in hierarchical form (AS65530:AS-CUSTOMERS).
+var validSetName = function(name) {
+    var parts = name.split(':');
+    var named = false;
+    for (var i = 0; i < parts.length; i++) {
+        if ((/^(AS|RS)-[A-Z0-9_-]*$/i).test(parts[i])) {
+            named = true;
+        } else if (!(/^AS[0-9]+$/i).test(parts[i])) {
+            return false;
+        }
+    }
+    return named;
+};
+
+var TREE_LIMITS = { depth: 20, prefixes: 500000 };
+
+// Expansion tree of a set (or ASN) in families ([4], [6] or [4, 6]), for
+// diagnostics. Sets deeper than limits.depth are not expanded, nor are any
+// more sets once limits.prefixes route objects were counted.
+//
+// Every node is { name, type (as-set, route-set, asn or prefix), depth, path
+// (the names of the sets it was reached by), status, prefixes: { ipv4, ipv6 } },
+// plus ops (its range operator), source (for sets and prefixes), children
+// (for expanded sets) and via: 'mbrs-by-ref' for members that joined by
+// member-of. status is one of
+//   ok
+//   missing        set not found in any of the sources
+//   unresolvable   unknown source, invalid set name or invalid prefix (see reason)
+//   loop           set is one of its own ancestors; not expanded again
+//   repeated       set was expanded elsewhere in the tree; counts are from there
+//   depth-limit    not expanded, too deep
+//   prefix-limit   not expanded, too many prefixes already
+//   no-routes      ASN without route objects in the sources
+//   excluded       left out by the filter (see reason); not expanded
+// prefixes counts the route objects of a branch before range operators
+// apply, without those the filter leaves out; an ASN is counted in every
+// branch it appears in.
+//
+// Result: { tree, missing, unresolvable, emptyAsns, loops (each { name, path }
+// or { asn, path }, the first place found), excluded: [{ name, path, reason }],
+// truncated: { depth: [{ name, path }], prefixes: bool }, counts: { sets, asns,
+// ipv4, ipv6 } (distinct ones) }
+var tree = function(databases, dbConfig, sources, name, families, limits, filter) {
+    var names = sourceNames(dbConfig);
+    limits = limits || TREE_LIMITS;
+    var res = { tree: null, missing: [], unresolvable: [], emptyAsns: [], loops: [], excluded: [], truncated: { depth: [], prefixes: false }, counts: { sets: 0, asns: 0 } };
+    var keys = families.map(function(family) {
+        return 'ipv' + family;
+    });
+    keys.forEach(function(key) {
+        res.counts[key] = 0;
+    });
+    var total = 0;
+    var seen = {};
+    var reported = {};
+    var expanded = {};
+
+    var node = function(nodeName, type, path, op) {
+        var n = { name: nodeName, type: type, depth: path.length, path: path, status: 'ok', prefixes: {} };
+        keys.forEach(function(key) {
+            n.prefixes[key] = 0;
+        });
+        if (op) n.ops = op;
+        return n;
+    };
+
+    // Count route objects once for the totals and the prefix limit
+    var count = function(id, prefixes) {
+        if (seen[id]) return;
+        seen[id] = true;
+        for (var key in prefixes) {
+            res.counts[key] += prefixes[key];
+            total += prefixes[key];
+        }
+    };
+
+    // Mark a node as left out by the filter
+    var excluded = function(n, reason) {
+        n.status = 'excluded';
+        n.reason = reason;
+        if (!reported[n.name]) res.excluded.push({ name: n.name, path: n.path, reason: reason });
+        reported[n.name] = true;
+        return n;
+    };
+
+    // Route objects of an ASN in one database and family the filter keeps
+    var routeCount = function(store, asn) {
+        if (!filter || !filter.active) return store.size(asn);
+        return (store.get(asn) || []).filter(function(prefix) {
+            return !filter.checkPrefix(prefix);
+        }).length;
+    };
+
+    var asnNode = function(asn, path, op) {
+        var n = node('AS' + asn, 'asn', path, op);
+        var reason = filter && filter.checkAsn(asn);
+        if (reason) return excluded(n, reason);
+        var sum = 0;
+        families.forEach(function(family) {
+            sources.forEach(function(dbName) {
+                var db = databases[dbName];
+                var size = db ? routeCount(db[(family == 6) ? 'asnv6' : 'asnv4'], asn) : 0;
+                n.prefixes['ipv' + family] += size;
+                sum += size;
+            });
+        });
+        if (!seen['AS' + asn]) {
+            res.counts.asns++;
+            if (sum === 0) res.emptyAsns.push({ asn: asn, path: path });
+        }
+        count('AS' + asn, n.prefixes);
+        if (sum === 0) n.status = 'no-routes';
+        return n;
+    };
+
+    // Prefix listed in a route-set, or a route object (with origin) that joined it by member-of
+    var prefixNode = function(text, path, op, source, origin) {
+        var n = node(text, 'prefix', path, op);
+        n.source = source;
+        if (origin !== undefined) n.origin = origin;
+        var prefix = str2ip(text);
+        if (!prefix) {
+            n.status = 'unresolvable';
+            n.reason = 'invalid prefix';
+            if (!reported[text]) res.unresolvable.push({ name: text, path: path, reason: n.reason });
+            reported[text] = true;
+            return n;
+        }
+        var reason = filter && filter.checkRoute(prefix, origin);
+        if (reason) return excluded(n, reason);
+        var key = 'ipv' + ((prefix.length > 5) ? 6 : 4);
+        if (n.prefixes[key] !== undefined) n.prefixes[key] = 1;
+        count(source + ' ' + text + ((origin !== undefined) ? 'AS' + origin : ''), n.prefixes);
+        return n;
+    };
+
+    var setNode = function(macro, path, op) {
+        var n = node(macro, null, path, op);
+        var found = findSet(databases, names, sources, macro);
+        var reason = filter && filter.checkSet(macro);
+        if (reason) {
+            if (found) {
+                n.type = found.routeSet ? 'route-set' : 'as-set';
+                n.source = found.source;
+            }
+            return excluded(n, reason);
+        }
+        if (!found) {
+            var m = macro.match(/^([A-Z0-9_-]+)::(.+)$/i);
+            if (m && !names[m[1].toUpperCase()]) {
+                n.reason = 'unknown source ' + m[1];
+            } else if (!validSetName(m ? m[2] : macro)) {
+                n.reason = 'not a set name';
+            }
+            n.status = n.reason ? 'unresolvable' : 'missing';
+            if (!reported[macro]) res[n.reason ? 'unresolvable' : 'missing'].push(n.reason ? { name: macro, path: path, reason: n.reason } : { name: macro, path: path });
+            reported[macro] = true;
+            return n;
+        }
+        n.type = found.routeSet ? 'route-set' : 'as-set';
+        n.source = found.source;
+        if (path.indexOf(macro) >= 0) {
+            n.status = 'loop';
+            res.loops.push({ name: macro, path: path });
+            return n;
+        }
+        if (expanded[macro]) {
+            n.status = 'repeated';
+            for (var key in n.prefixes) n.prefixes[key] = expanded[macro].prefixes[key];
+            return n;
+        }
+        if (path.length > limits.depth) {
+            n.status = 'depth-limit';
+            res.truncated.depth.push({ name: macro, path: path });
+            return n;
+        }
+        if (total >= limits.prefixes) {
+            n.status = 'prefix-limit';
+            res.truncated.prefixes = true;
+            return n;
+        }
+        expanded[macro] = n;
+        res.counts.sets++;
+        n.children = [];
+        var childPath = path.concat(macro);
+        var add = function(child) {
+            n.children.push(child);
+            for (var key in child.prefixes) n.prefixes[key] += child.prefixes[key];
+            return child;
+        };
+        found.members.forEach(function(str) {
+            var split = splitMember(str);
+            var asn = parseAsn(split.member);
+            if (split.member.indexOf('/') >= 0) {
+                add(prefixNode(split.member, childPath, split.op, found.source));
+            } else if (asn !== null && (/^AS/i).test(split.member)) {
+                add(asnNode(asn, childPath, split.op));
+            } else {
+                add(setNode(split.member, childPath, split.op));
+            }
+        });
+        membersByRef(found).forEach(function(ref) {
+            var child = found.routeSet ? prefixNode(ref.prefix, childPath, null, found.source, ref.origin) : asnNode(ref, childPath, null);
+            add(child).via = 'mbrs-by-ref';
+        });
+        return n;
+    };
+
+    name = String(name).toUpperCase();
+    var rootAsn = parseAsn(name);
+    res.tree = (rootAsn !== null) ? asnNode(rootAsn, [], null) : setNode(name, [], null);
+    return res;
+};
+
+module.exports = {
+    TREE_LIMITS: TREE_LIMITS,
+    expand: expand,
+    tree: tree,
+    findSource: findSource,
+    withLocal: withLocal,
+    parseAsn: parseAsn
+};
@@ -0,0 +1,133 @@
+/*
+Memoised set expansions, kept until an update touches them.
+
+Results of expand() are cached per list of sources, name and address family,
+for the databases in use (not for historic states) and the filter given (see
+lib/filters.js), which must not change. Each entry depends on the
+sets it visited (found or not; by name without source) and the member ASNs,
+in every one of its sources. parsePacket() reports the sets and origin ASNs
+an update touched, and only the entries depending on one of them are dropped.
+A database replaced as a whole drops all entries using it.
+
+Cached results are shared: callers must not change them.
+
+Entries also remember which database objects and packed prefix arrays (see
+lib/store.js) they were made from, so nothing stale is returned if one was
+replaced without an invalidation. The least recently used entry is evicted
+once there are more than size.
+*/
+
+var expand = require('./expand').expand;
+
+var ExpansionCache = function(databases, dbConfig, size, filter) {
+    this.databases = databases;
+    this.dbConfig = dbConfig;
+    this.size = size;
+    this.filter = filter || null;
+    this.entries = {};
+    this.count = 0;
+    // 'dbName SET' and 'dbName asn' -> { key: true }
+    this.dependents = {};
+    this.stats = { hits: 0, misses: 0, invalidations: 0, evictions: 0 };
+};
+
+// Identity of what an expansion in one family was made from, per source
+var origins = function(databases, sources, family) {
+    return sources.map(function(dbName) {
+        var db = databases[dbName];
+        return db ? [db, db[(family == 6) ? 'asnv6' : 'asnv4'].data] : null;
+    });
+};
+
+var sameOrigins = function(a, b) {
+    for (var i = 0; i < a.length; i++) {
+        if ((a[i] === null) != (b[i] === null)) return false;
+        if (a[i] && (a[i][0] !== b[i][0] || a[i][1] !== b[i][1])) return false;
+    }
+    return true;
+};
+
+// expand() for the databases in use, from the cache if possible
+ExpansionCache.prototype.expand = function(sources, name, family) {
+    name = String(name).toUpperCase();
+    if (this.size === 0) return expand(this.databases, this.dbConfig, sources, name, family, this.filter);
+    var key = sources.join(',') + '/' + name + '/' + family;
+    var current = origins(this.databases, sources, family);
+    var entry = this.entries[key];
+    if (entry && sameOrigins(entry.origins, current)) {
+        this.stats.hits++;
+        // Move to the end of the eviction order
+        delete this.entries[key];
+        this.entries[key] = entry;
+        return entry.result;
+    }
+    if (entry) this.remove(key);
+    this.stats.misses++;
+    var result = expand(this.databases, this.dbConfig, sources, name, family, this.filter);
+    entry = { result: result, origins: current, dependencies: [] };
+    var sets = result.macros.concat(name);
+    for (var i = 0; i < sources.length; i++) {
+        for (var j = 0; j < sets.length; j++) {
+            entry.dependencies.push(sources[i] + ' ' + sets[j].replace(/^.*::/, ''));
+        }
+        for (j = 0; j < result.asns.length; j++) {
+            entry.dependencies.push(sources[i] + ' ' + result.asns[j]);
+        }
+    }
+    for (i = 0; i < entry.dependencies.length; i++) {
+        var dependency = entry.dependencies[i];
+        if (!this.dependents[dependency]) this.dependents[dependency] = {};
+        this.dependents[dependency][key] = true;
+    }
+    this.entries[key] = entry;
+    this.count++;
+    while (this.count > this.size) {
+        this.remove(Object.keys(this.entries)[0]);
+        this.stats.evictions++;
+    }
+    return result;
+};
+
+ExpansionCache.prototype.remove = function(key) {
+    var entry = this.entries[key];
+    if (!entry) return;
+    for (var i = 0; i < entry.dependencies.length; i++) {
+        var dependents = this.dependents[entry.dependencies[i]];
+        if (!dependents) continue;
+        delete dependents[key];
+        if (Object.keys(dependents).length === 0) delete this.dependents[entry.dependencies[i]];
+    }
+    delete this.entries[key];
+    this.count--;
+};
+
+// Drop the expansions an update of a database touching sets (names) and
+// origin ASNs could change
+ExpansionCache.prototype.invalidate = function(dbName, sets, asns) {
+    var self = this;
+    var drop = function(dependency) {
+        var dependents = self.dependents[dependency];
+        if (!dependents) return;
+        Object.keys(dependents).forEach(function(key) {
+            self.remove(key);
+            self.stats.invalidations++;
+        });
+    };
+    sets.forEach(function(set) {
+        drop(dbName + ' ' + String(set).toUpperCase());
+    });
+    asns.forEach(function(asn) {
+        drop(dbName + ' ' + asn);
+    });
+};
+
+// Drop every expansion using a database, e.g. after it was replaced by a dump
+ExpansionCache.prototype.clear = function(dbName) {
+    for (var key in this.entries) {
+        if (key.split('/')[0].split(',').indexOf(dbName) >= 0) this.remove(key);
+    }
+};
+
+module.exports = {
+    ExpansionCache: ExpansionCache
+};
@@ -0,0 +1,336 @@
+/*
+Downloads over FTP, HTTP(S) and from file:// URLs, and HTTP(S) POSTs.
+
+A transfer only counts as complete if the size matches what the server
+announced (Content-Length, FTP SIZE or the file size), an FTP server
+confirmed it with a 226 reply and, for gzipped files, the gzip stream
+(including its CRC) decompresses cleanly. Failed transfers are retried with
+exponential backoff.
+*/
+
+var
+    fs = require('fs'),
+    http = require('http'),
+    https = require('https'),
+    net = require('net'),
+    zlib = require('zlib'),
+    urlParse = require('url').parse,
+    urlResolve = require('url').resolve;
+
+var sizeError = function(url, got, expected) {
+    return new Error('Incomplete transfer of ' + url + ': got ' + got + ' of ' + expected + ' bytes');
+};
+
+var httpTransfer = function(url, timeout, onData, cb, redirects) {
+    var opts = urlParse(url);
+    var mod = (opts.protocol == 'https:') ? https : http;
+    var done = false;
+    var finish = function(err, bytes) {
+        if (done) return;
+        done = true;
+        cb(err, bytes);
+    };
+    var req = mod.get(url, function(res) {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+            res.resume();
+            if ((redirects || 0) >= 5) return finish(new Error('Too many redirects for ' + url));
+            done = true;
+            httpTransfer(urlResolve(url, res.headers.location), timeout, onData, cb, (redirects || 0) + 1);
+            return;
+        }
+        if (res.statusCode != 200) {
+            res.resume();
+            return finish(new Error('HTTP ' + res.statusCode + ' for ' + url));
+        }
+        var expected = res.headers['content-length'] ? parseInt(res.headers['content-length'], 10) : null;
+        var bytes = 0;
+        res.on('data', function(data) {
+            bytes += data.length;
+            onData(data, res);
+        });
+        res.on('end', function() {
+            if (expected !== null && bytes != expected) return finish(sizeError(url, bytes, expected));
+            finish(null, bytes);
+        });
+        res.on('aborted', function() {
+            finish(new Error('Connection closed during transfer of ' + url));
+        });
+        res.on('error', finish);
+    });
+    req.setTimeout(timeout, function() {
+        req.abort();
+        finish(new Error('Timeout fetching ' + url));
+    });
+    req.on('error', finish);
+};
+
+// Anonymous (unless the URL has credentials) passive mode FTP retrieval
+var ftpTransfer = function(url, timeout, onData, cb) {
+    var opts = urlParse(url);
+    var file = decodeURIComponent(opts.pathname);
+    var auth = opts.auth ? opts.auth.split(':') : ['anonymous', 'anonymous@'];
+    var ctrl = net.createConnection(opts.port || 21, opts.hostname);
+    var data = null;
+    var state = 'greeting';
+    var expected = null;
+    var bytes = 0;
+    var received = false;
+    var confirmed = false;
+    var done = false;
+    var buf = '';
+
+    var finish = function(err) {
+        if (done) return;
+        done = true;
+        if (!err) ctrl.write('QUIT\r\n');
+        ctrl.destroy();
+        if (data) data.destroy();
+        cb(err || null, bytes);
+    };
+    var send = function(cmd, next) {
+        state = next;
+        ctrl.write(cmd + '\r\n');
+    };
+    var complete = function() {
+        if (!received || !confirmed) return;
+        if (expected !== null && bytes != expected) return finish(sizeError(url, bytes, expected));
+        finish(null);
+    };
+    var openData = function(host, port) {
+        data = net.createConnection(port, host);
+        data.setTimeout(timeout, function() {
+            finish(new Error('Timeout fetching ' + url));
+        });
+        data.on('connect', function() {
+            send('RETR ' + file, 'retr');
+        });
+        data.on('data', function(chunk) {
+            bytes += chunk.length;
+            onData(chunk, data);
+        });
+        data.on('end', function() {
+            received = true;
+            complete();
+        });
+        data.on('error', finish);
+    };
+    var fail = function(code, text) {
+        finish(new Error('FTP error for ' + url + ' in ' + state + ': ' + code + ' ' + text));
+    };
+
+    var reply = function(code, text) {
+        var m;
+        switch (state) {
+            case 'greeting':
+                if (code != 220) return fail(code, text);
+                return send('USER ' + auth[0], 'user');
+            case 'user':
+                if (code == 230) return send('TYPE I', 'type');
+                if (code != 331) return fail(code, text);
+                return send('PASS ' + (auth[1] || ''), 'pass');
+            case 'pass':
+                if (code != 230 && code != 202) return fail(code, text);
+                return send('TYPE I', 'type');
+            case 'type':
+                if (code != 200) return fail(code, text);
+                return send('SIZE ' + file, 'size');
+            case 'size':
+                // Not all servers support SIZE; then only the 226 reply tells
+                if (code == 213) expected = parseInt(text, 10);
+                return send('EPSV', 'epsv');
+            case 'epsv':
+                m = text.match(/\(\|\|\|([0-9]+)\|\)/);
+                if (code == 229 && m) return openData(ctrl.remoteAddress, parseInt(m[1], 10));
+                return send('PASV', 'pasv');
+            case 'pasv':
+                m = text.match(/([0-9]+),([0-9]+),([0-9]+),([0-9]+),([0-9]+),([0-9]+)/);
+                if (code != 227 || !m) return fail(code, text);
+                // The address in the reply is often wrong behind NAT, the port is what counts
+                return openData(ctrl.remoteAddress, parseInt(m[5], 10) * 256 + parseInt(m[6], 10));
+            case 'retr':
+                if (code == 125 || code == 150) return;
+                if (code != 226 && code != 250) return fail(code, text);
+                confirmed = true;
+                return complete();
+        }
+    };
+
+    ctrl.setEncoding('utf8');
+    ctrl.setTimeout(timeout, function() {
+        // The control connection is idle during long transfers
+        if (state != 'retr') finish(new Error('Timeout fetching ' + url));
+    });
+    ctrl.on('data', function(chunk) {
+        buf += chunk;
+        while (!done) {
+            var m = buf.match(/^([^\n]*)\n/);
+            if (!m) break;
+            buf = buf.substring(m[0].length);
+            // Multi-line replies end with a line starting with 'nnn '
+            var line = m[1].match(/^([0-9]{3})(?: (.*))?\r?$/);
+            if (line) reply(parseInt(line[1], 10), (line[2] || '').trim());
+        }
+    });
+    ctrl.on('end', function() {
+        finish(new Error('FTP control connection closed for ' + url));
+    });
+    ctrl.on('error', finish);
+};
+
+var fileTransfer = function(url, timeout, onData, cb) {
+    var file = decodeURIComponent(urlParse(url).pathname);
+    fs.stat(file, function(err, stat) {
+        if (err) return cb(err);
+        var bytes = 0;
+        var stream = fs.createReadStream(file);
+        stream.on('data', function(data) {
+            bytes += data.length;
+            onData(data, stream);
+        });
+        stream.on('end', function() {
+            if (bytes != stat.size) return cb(sizeError(url, bytes, stat.size));
+            cb(null, bytes);
+        });
+        stream.on('error', cb);
+    });
+};
+
+// One attempt at fetching url; onData(chunk, source) gets the raw chunks and
+// the stream they came from (to pause it), cb(err, bytes) is called once the
+// transfer has been checked.
+var transfer = function(url, options, onData, cb) {
+    var protocol = urlParse(url).protocol;
+    var timeout = options.timeout || 300000;
+    var gunzip = null;
+    var bytes = 0;
+    var waiting = options.gzip ? 2 : 1;
+    var failed = false;
+    var finish = function(err) {
+        if (failed) return;
+        if (err) {
+            failed = true;
+            return cb(err);
+        }
+        if (--waiting === 0) cb(null, bytes);
+    };
+    if (options.gzip) {
+        gunzip = zlib.createGunzip();
+        gunzip.on('data', function() {
+        });
+        gunzip.on('end', function() {
+            finish(null);
+        });
+        gunzip.on('error', function(err) {
+            finish(new Error('Broken gzip data from ' + url + ': ' + err.message));
+        });
+    }
+    var handle = function(data, source) {
+        if (gunzip && !failed) gunzip.write(data);
+        onData(data, source);
+    };
+    var done = function(err, n) {
+        if (err) return finish(err);
+        bytes = n;
+        if (gunzip) gunzip.end();
+        finish(null);
+    };
+    if (protocol == 'http:' || protocol == 'https:') return httpTransfer(url, timeout, handle, done);
+    if (protocol == 'ftp:') return ftpTransfer(url, timeout, handle, done);
+    if (protocol == 'file:') return fileTransfer(url, timeout, handle, done);
+    cb(new Error('Unsupported URL ' + url));
+};
+
+// Run attempt(cb) until it succeeds or options.retries retries have failed,
+// waiting options.backoff ms before the first retry and twice as long each time after.
+var retry = function(url, options, attempt, cb) {
+    var tries = 0;
+    var run = function() {
+        attempt(function(err, res) {
+            if (!err || tries >= (options.retries || 0)) return cb(err, res);
+            var wait = (options.backoff || 1000) * Math.pow(2, tries);
+            tries++;
+            console.log('Request for ' + url + ' failed (' + err.message + '); retry ' + tries + ' in ' + Math.round(wait / 1000) + 's');
+            setTimeout(run, wait);
+        });
+    };
+    run();
+};
+
+// Fetch a small file into memory.
+//
+// options: retries, backoff (ms), timeout (ms of inactivity), gzip (check gzip integrity)
+// cb(err, Buffer)
+var get = function(url, options, cb) {
+    retry(url, options, function(done) {
+        var chunks = [];
+        transfer(url, options, function(data) {
+            chunks.push(data);
+        }, function(err) {
+            done(err, err ? null : Buffer.concat(chunks));
+        });
+    }, cb);
+};
+
+// Fetch url into file, which is overwritten on every attempt.
+// Options as for get; cb(err, bytes)
+var download = function(url, file, options, cb) {
+    retry(url, options, function(done) {
+        var out = fs.createWriteStream(file);
+        var failed = null;
+        var paused = null;
+        out.on('error', function(err) {
+            failed = err;
+            // No 'drain' will follow; read the rest of the transfer to its end
+            if (paused) paused.resume();
+        });
+        out.on('drain', function() {
+            if (paused) paused.resume();
+            paused = null;
+        });
+        transfer(url, options, function(data, source) {
+            // Dumps are large; don't read faster than the disk takes it
+            if (failed || out.write(data)) return;
+            paused = source;
+            source.pause();
+        }, function(err, bytes) {
+            out.end(function() {
+                done(err || failed, bytes);
+            });
+        });
+    }, cb);
+};
+
+// POST body (a string) to an HTTP(S) URL; any 2xx response counts as delivered.
+// Options as for get (without gzip); cb(err, statusCode)
+var post = function(url, body, headers, options, cb) {
+    retry(url, options, function(done) {
+        var opts = urlParse(url);
+        var finished = false;
+        var finish = function(err, status) {
+            if (finished) return;
+            finished = true;
+            done(err, status);
+        };
+        opts.method = 'POST';
+        opts.headers = {};
+        for (var name in headers) opts.headers[name] = headers[name];
+        opts.headers['Content-Length'] = Buffer.byteLength(body);
+        var req = ((opts.protocol == 'https:') ? https : http).request(opts, function(res) {
+            res.resume();
+            if (res.statusCode < 200 || res.statusCode >= 300) return finish(new Error('HTTP ' + res.statusCode + ' for ' + url));
+            finish(null, res.statusCode);
+        });
+        req.setTimeout(options.timeout || 300000, function() {
+            req.abort();
+            finish(new Error('Timeout posting to ' + url));
+        });
+        req.on('error', finish);
+        req.end(body);
+    }, cb);
+};
+
+module.exports = {
+    download: download,
+    get: get,
+    post: post
+};
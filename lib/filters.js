@@ -0,0 +1,145 @@
+/*
+Filtering of lookup results: an operator supplied exclusion list, bogon
+prefixes and reserved ASNs.
+
+The exclusion list holds ASNs ('AS64500', '64500' or 64500), prefixes
+(which also excludes their more specifics) and set names (matched without a
+source, so 'AS-FOO' excludes RIPE::AS-FOO as well). Excluded sets are not
+expanded, and excluded ASNs contribute no route objects.
+
+With bogons, route objects for martian and reserved address space are
+dropped: the special purpose registries of RFC 6890 (IPv4 and IPv6) and the
+default routes. With reservedAsns, the ASNs that never originate routes on
+the Internet are treated as excluded: AS0 (RFC 7607), AS_TRANS (RFC 6793),
+documentation (RFC 5398), private use (RFC 6996) and the last ASN of both
+ranges (RFC 7300), and the unallocated 65552-131071.
+
+The check*() methods return why something is filtered ('excluded', 'bogon'
+or 'reserved ASN'), or null if it is not.
+*/
+
+var
+    str2ip = require('./address').str2ip,
+    parseAsn = require('./expand').parseAsn;
+
+// Covering prefixes; exact ones only match themselves
+var BOGONS = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+    '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15', '198.51.100.0/24', '203.0.113.0/24',
+    '224.0.0.0/4', '240.0.0.0/4',
+    '::/8', '100::/64', '2001:2::/48', '2001:10::/28', '2001:db8::/32', '3ffe::/16', 'fc00::/7', 'fe80::/10',
+    'fec0::/10', 'ff00::/8'
+];
+var EXACT_BOGONS = ['0.0.0.0/0', '::/0'];
+
+// [first, last] ASN ranges
+var RESERVED_ASNS = [
+    [0, 0], [23456, 23456], [64496, 64511], [64512, 65534], [65535, 65535], [65536, 65551], [65552, 131071],
+    [4200000000, 4294967294], [4294967295, 4294967295]
+];
+
+// Does prefix net (same family) cover prefix?
+var covers = function(net, prefix) {
+    var len = net[net.length - 1];
+    if (net.length != prefix.length || prefix[prefix.length - 1] < len) return false;
+    for (var i = 0; i < len; i++) {
+        var mask = 0x80 >> (i % 8);
+        if ((net[i >> 3] & mask) != (prefix[i >> 3] & mask)) return false;
+    }
+    return true;
+};
+
+var Filter = function(options) {
+    options = options || {};
+    this.asns = {};
+    this.sets = {};
+    this.prefixes = [];
+    this.bogons = !!options.bogons;
+    this.reservedAsns = !!options.reservedAsns;
+    var exclude = options.exclude || [];
+    for (var i = 0; i < exclude.length; i++) {
+        var entry = String(exclude[i]).trim();
+        var asn = parseAsn(entry);
+        if (asn !== null) {
+            this.asns[asn] = true;
+        } else if (entry.indexOf('/') >= 0) {
+            var prefix = str2ip(entry);
+            if (!prefix) throw new Error('Invalid prefix in exclusion list: ' + entry);
+            this.prefixes.push(prefix);
+        } else {
+            this.sets[entry.toUpperCase().replace(/^.*::/, '')] = true;
+        }
+    }
+    // Nothing to check, for a quick way out
+    this.active = this.bogons || this.reservedAsns || this.prefixes.length > 0 ||
+        Object.keys(this.asns).length > 0 || Object.keys(this.sets).length > 0;
+};
+
+Filter.BOGONS = BOGONS.map(str2ip);
+Filter.EXACT_BOGONS = EXACT_BOGONS.map(str2ip);
+
+Filter.prototype.checkAsn = function(asn) {
+    if (!this.active) return null;
+    if (this.asns[asn]) return 'excluded';
+    if (!this.reservedAsns) return null;
+    for (var i = 0; i < RESERVED_ASNS.length; i++) {
+        if (asn >= RESERVED_ASNS[i][0] && asn <= RESERVED_ASNS[i][1]) return 'reserved ASN';
+    }
+    return null;
+};
+
+// prefix: Buffer (see lib/address.js)
+Filter.prototype.checkPrefix = function(prefix) {
+    if (!this.active) return null;
+    var i;
+    for (i = 0; i < this.prefixes.length; i++) {
+        if (covers(this.prefixes[i], prefix)) return 'excluded';
+    }
+    if (!this.bogons) return null;
+    for (i = 0; i < Filter.BOGONS.length; i++) {
+        if (covers(Filter.BOGONS[i], prefix)) return 'bogon';
+    }
+    for (i = 0; i < Filter.EXACT_BOGONS.length; i++) {
+        if (Filter.EXACT_BOGONS[i].equals(prefix)) return 'bogon';
+    }
+    return null;
+};
+
+// Set names may be source qualified
+Filter.prototype.checkSet = function(name) {
+    if (!this.active) return null;
+    return this.sets[String(name).toUpperCase().replace(/^.*::/, '')] ? 'excluded' : null;
+};
+
+// A route object (or a prefix listed in a route-set, with origin null)
+Filter.prototype.checkRoute = function(prefix, origin) {
+    return ((origin !== null && origin !== undefined) ? this.checkAsn(origin) : null) || this.checkPrefix(prefix);
+};
+
+// A set member as written in RPSL: ASN, prefix or set, with a range operator
+Filter.prototype.checkMember = function(member) {
+    if (!this.active) return null;
+    member = member.replace(/\^(?:-|\+|[0-9]+(?:-[0-9]+)?)$/, '');
+    var asn = parseAsn(member);
+    if (asn !== null && (/^AS/i).test(member)) return this.checkAsn(asn);
+    if (member.indexOf('/') >= 0) {
+        var prefix = str2ip(member);
+        return prefix ? this.checkPrefix(prefix) : null;
+    }
+    return this.checkSet(member);
+};
+
+// Is an entry of the exclusion list valid? (for the configuration check)
+var validEntry = function(entry) {
+    if (typeof entry == 'number') return entry % 1 === 0 && entry >= 0 && entry <= 0xFFFFFFFF;
+    if (typeof entry != 'string' || entry.trim() === '') return false;
+    entry = entry.trim();
+    if (parseAsn(entry) !== null) return true;
+    if (entry.indexOf('/') >= 0) return str2ip(entry) !== null;
+    return (/^([A-Z0-9_-]+::)?[A-Z0-9_:-]+$/i).test(entry);
+};
+
+module.exports = {
+    Filter: Filter,
+    validEntry: validEntry
+};
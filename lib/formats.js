@@ -0,0 +1,152 @@
+/*
+Router configuration output for lookup results, modelled on what bgpq3/bgpq4 emit.
+
+Every formatter gets the list name, the address family (4 or 6) and the
+prefixes, and returns the complete text. A prefix is either a string or, for
+aggregated results, an object { prefix: '10.0.0.0/23', ge: 24, le: 24 }
+where ge and le are optional.
+*/
+
+var prefixOf = function(entry) {
+    return (typeof entry == 'string') ? entry : entry.prefix;
+};
+
+var lengthOf = function(entry) {
+    return parseInt(prefixOf(entry).split('/')[1], 10);
+};
+
+// Range of lengths permitted by an entry as [ge, le], or null for an exact match
+var rangeOf = function(entry) {
+    if (typeof entry == 'string' || (entry.ge === undefined && entry.le === undefined)) return null;
+    var len = lengthOf(entry);
+    return [(entry.ge !== undefined) ? entry.ge : len, (entry.le !== undefined) ? entry.le : len];
+};
+
+// 'ge a le b' as understood by Cisco IOS and IOS-XR
+var ciscoRange = function(entry) {
+    var range = rangeOf(entry);
+    if (!range) return prefixOf(entry);
+    return prefixOf(entry) + ((range[0] != lengthOf(entry)) ? ' ge ' + range[0] : '') + ' le ' + range[1];
+};
+
+// RPSL range operator notation ('10.0.0.0/8^8-24'), also used for JSON output
+var toString = function(entry) {
+    var range = rangeOf(entry);
+    if (!range) return prefixOf(entry);
+    return prefixOf(entry) + '^' + range[0] + '-' + range[1];
+};
+
+var formats = {
+    // Cisco IOS: ip prefix-list / ipv6 prefix-list
+    cisco: function(name, family, prefixes) {
+        var cmd = (family == 6) ? 'ipv6 prefix-list ' : 'ip prefix-list ';
+        var lines = ['no ' + cmd + name];
+        if (prefixes.length === 0) {
+            lines.push('! generated prefix-list ' + name + ' is empty');
+            lines.push(cmd + name + ' deny ' + ((family == 6) ? '::/0' : '0.0.0.0/0'));
+        }
+        for (var i = 0; i < prefixes.length; i++) {
+            lines.push(cmd + name + ' permit ' + ciscoRange(prefixes[i]));
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    // Cisco IOS-XR: prefix-set
+    ciscoxr: function(name, family, prefixes) {
+        var lines = ['no prefix-set ' + name, 'prefix-set ' + name];
+        if (prefixes.length === 0) {
+            lines.push(' # generated prefix-set ' + name + ' is empty');
+        }
+        for (var i = 0; i < prefixes.length; i++) {
+            lines.push(' ' + ciscoRange(prefixes[i]) + ((i < prefixes.length - 1) ? ',' : ''));
+        }
+        lines.push('end-set');
+        return lines.join('\n') + '\n';
+    },
+
+    // Juniper: policy-options prefix-list. Prefix lists can't hold ranges,
+    // see supportsRanges().
+    juniper: function(name, family, prefixes) {
+        var lines = ['policy-options {', 'replace:', ' prefix-list ' + name + ' {'];
+        for (var i = 0; i < prefixes.length; i++) {
+            lines.push('    ' + prefixOf(prefixes[i]) + ';');
+        }
+        lines.push(' }', '}');
+        return lines.join('\n') + '\n';
+    },
+
+    // Juniper: policy-options route-filter-list
+    'juniper-route-filter': function(name, family, prefixes) {
+        var lines = ['policy-options {', 'replace:', ' route-filter-list ' + name + ' {'];
+        for (var i = 0; i < prefixes.length; i++) {
+            var range = rangeOf(prefixes[i]);
+            if (!range) {
+                lines.push('    ' + prefixOf(prefixes[i]) + ' exact;');
+            } else if (range[0] == lengthOf(prefixes[i])) {
+                lines.push('    ' + prefixOf(prefixes[i]) + ' upto /' + range[1] + ';');
+            } else {
+                lines.push('    ' + prefixOf(prefixes[i]) + ' prefix-length-range /' + range[0] + '-/' + range[1] + ';');
+            }
+        }
+        lines.push(' }', '}');
+        return lines.join('\n') + '\n';
+    },
+
+    // BIRD: prefix set constant
+    bird: function(name, family, prefixes) {
+        var lines = [name + ' = ['];
+        for (var i = 0; i < prefixes.length; i++) {
+            var range = rangeOf(prefixes[i]);
+            lines.push('    ' + prefixOf(prefixes[i]) + (range ? '{' + range[0] + ',' + range[1] + '}' : '') + ((i < prefixes.length - 1) ? ',' : ''));
+        }
+        lines.push('];');
+        return lines.join('\n') + '\n';
+    },
+
+    // OpenBGPD: prefix-set
+    openbgpd: function(name, family, prefixes) {
+        var lines = ['prefix-set ' + name + ' {'];
+        for (var i = 0; i < prefixes.length; i++) {
+            var range = rangeOf(prefixes[i]);
+            lines.push('\t' + prefixOf(prefixes[i]) + (range ? ' prefixlen ' + range[0] + ' - ' + range[1] : ''));
+        }
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    },
+
+    // One prefix per line
+    text: function(name, family, prefixes) {
+        return prefixes.length > 0 ? prefixes.map(toString).join('\n') + '\n' : '';
+    }
+};
+
+var DEFAULT_NAME = 'NN';
+
+var isFormat = function(format) {
+    return formats.hasOwnProperty(format);
+};
+
+// List names end up in router configs, so only allow the characters all of
+// the supported platforms accept.
+var isName = function(name) {
+    return (/^[A-Za-z][A-Za-z0-9_.:-]{0,62}$/).test(name);
+};
+
+// Whether a format can express ge/le ranges
+var supportsRanges = function(type) {
+    return type != 'juniper';
+};
+
+var format = function(type, name, family, prefixes) {
+    return formats[type](name || DEFAULT_NAME, family, prefixes);
+};
+
+module.exports = {
+    DEFAULT_NAME: DEFAULT_NAME,
+    format: format,
+    isFormat: isFormat,
+    isName: isName,
+    names: Object.keys(formats),
+    supportsRanges: supportsRanges,
+    toString: toString
+};
@@ -0,0 +1,204 @@
+/*
+History of a database: a journal of the updates applied to it and periodic
+snapshots, from which its state at an earlier serial or time is rebuilt.
+
+Files in the history directory of a database:
+
+  journal                    one JSON object per line:
+                             { serial: n, time: ms, action: 'ADD' or 'DEL', object: [RPSL lines] }
+  <serial>-<time>.tiny       cache file (see cachefile.js) as of that serial and time
+
+A state is rebuilt from the newest snapshot at or before it plus the journal
+entries recorded after the snapshot. Snapshots older than the retention
+period are deleted, except for the newest of them which is still needed as
+the base for the oldest retained states; journal entries older than that base
+are dropped along with them.
+*/
+
+var
+    fs = require('fs'),
+    path = require('path'),
+    readline = require('readline'),
+    cachefile = require('./cachefile');
+
+var History = function(dir, retention, interval) {
+    this.dir = dir;
+    this.retention = retention;
+    this.interval = interval;
+    this.forced = false;
+    this.pending = null;
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    this.snapshots = fs.readdirSync(dir).map(function(file) {
+        var m = file.match(/^([0-9]+)-([0-9]+)\.tiny$/);
+        return m ? { serial: parseInt(m[1], 10), time: parseInt(m[2], 10), file: path.join(dir, file) } : null;
+    }).filter(function(snapshot) {
+        return snapshot !== null;
+    }).sort(function(a, b) {
+        return a.time - b.time;
+    });
+    this.journal = this.openJournal();
+};
+
+History.prototype.openJournal = function() {
+    var stream = fs.createWriteStream(path.join(this.dir, 'journal'), { flags: 'a' });
+    var dir = this.dir;
+    stream.on('error', function(err) {
+        console.log('Could not write to journal in ' + dir + ': ' + err.message);
+    });
+    return stream;
+};
+
+// Append an applied update to the journal
+History.prototype.record = function(serial, remove, object) {
+    var line = JSON.stringify({ serial: serial, time: Date.now(), action: remove ? 'DEL' : 'ADD', object: object }) + '\n';
+    if (this.pending) {
+        // The journal is being pruned
+        this.pending.push(line);
+    } else {
+        this.journal.write(line);
+    }
+};
+
+// The database was replaced as a whole (e.g. by a dump), which the journal
+// doesn't show; the next export has to be kept as a snapshot.
+History.prototype.reset = function() {
+    this.forced = true;
+};
+
+// Is it time for another snapshot?
+History.prototype.due = function() {
+    if (this.forced || this.snapshots.length === 0) return true;
+    return Date.now() - this.snapshots[this.snapshots.length - 1].time >= this.interval;
+};
+
+// Keep a copy of a freshly exported cache file as a snapshot
+History.prototype.snapshot = function(file, serial, cb) {
+    var self = this;
+    var time = Date.now();
+    var target = path.join(this.dir, serial + '-' + time + '.tiny');
+    this.forced = false;
+    fs.copyFile(file, target, function(err) {
+        if (err) return cb(err);
+        self.snapshots.push({ serial: serial, time: time, file: target });
+        self.prune(cb);
+    });
+};
+
+// Remove snapshots and journal entries that are no longer needed
+History.prototype.prune = function(cb) {
+    var self = this;
+    var cutoff = Date.now() - this.retention;
+    var expired = 0;
+    while (expired + 1 < this.snapshots.length && this.snapshots[expired + 1].time <= cutoff) expired++;
+    if (expired === 0) return cb(null);
+    var removed = this.snapshots.splice(0, expired);
+    var base = this.snapshots[0];
+    removed.forEach(function(snapshot) {
+        fs.unlink(snapshot.file, function() {
+        });
+    });
+    // Rewrite the journal without the entries older than the base snapshot;
+    // updates arriving meanwhile are held back and appended afterwards.
+    var file = path.join(this.dir, 'journal');
+    this.pending = [];
+    this.journal.end(function() {
+        var out = fs.createWriteStream(file + '.tmp');
+        var kept = 0;
+        var finished = false;
+        // Once only: an error of out may come before or after the end of entries()
+        var finish = function(err) {
+            if (finished) return;
+            finished = true;
+            var rename = function(next) {
+                if (err) return next();
+                fs.rename(file + '.tmp', file, function(e) {
+                    err = e;
+                    next();
+                });
+            };
+            rename(function() {
+                self.journal = self.openJournal();
+                self.pending.forEach(function(line) {
+                    self.journal.write(line);
+                });
+                self.pending = null;
+                if (!err) console.log('Pruned history in ' + self.dir + ': ' + removed.length + ' snapshots removed, ' + kept + ' journal entries kept');
+                cb(err || null);
+            });
+        };
+        out.on('error', finish);
+        self.entries(function(entry) {
+            if (entry.time < base.time) return;
+            out.write(JSON.stringify(entry) + '\n');
+            kept++;
+        }, function(err) {
+            if (err) return finish(err);
+            out.end(function() {
+                finish(null);
+            });
+        });
+    });
+};
+
+// Read the journal, calling onEntry for every entry in order
+History.prototype.entries = function(onEntry, cb) {
+    var input = fs.createReadStream(path.join(this.dir, 'journal'));
+    var failed = false;
+    input.on('error', function(err) {
+        failed = true;
+        cb(err.code == 'ENOENT' ? null : err);
+    });
+    var lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+    lines.on('line', function(line) {
+        if (failed || line === '') return;
+        try {
+            onEntry(JSON.parse(line));
+        } catch (e) {
+            // A line cut short by a crash; everything after it is still fine
+        }
+    });
+    lines.on('close', function() {
+        if (!failed) cb(null);
+    });
+};
+
+// Serial of the database at a point given as { serial: n } or { time: ms }
+History.prototype.serialAt = function(point, cb) {
+    if (point.serial !== undefined) return cb(null, point.serial);
+    var serial = null;
+    this.snapshots.forEach(function(snapshot) {
+        if (snapshot.time <= point.time) serial = snapshot.serial;
+    });
+    if (serial === null) return cb(new Error('No history as old as ' + new Date(point.time).toISOString()));
+    this.entries(function(entry) {
+        if (entry.time <= point.time && entry.time >= 0) serial = Math.max(serial, entry.serial);
+    }, function(err) {
+        cb(err, serial);
+    });
+};
+
+// Rebuild the database as of serial: handlers.base(db) gets the snapshot it
+// is based on, handlers.update(entry) every journal entry to apply on top.
+// cb(err) once done.
+History.prototype.replay = function(serial, handlers, cb) {
+    var base = null;
+    this.snapshots.forEach(function(snapshot) {
+        if (snapshot.serial <= serial && (!base || snapshot.time > base.time)) base = snapshot;
+    });
+    if (!base) return cb(new Error('No history as old as serial ' + serial));
+    var self = this;
+    cachefile.read(base.file, function(err, db) {
+        if (err) return cb(err);
+        delete db.version;
+        handlers.base(db);
+        self.entries(function(entry) {
+            // Entries from before the snapshot may belong to data it replaced
+            if (entry.time < base.time || entry.serial <= base.serial || entry.serial > serial) return;
+            handlers.update(entry);
+        }, cb);
+    });
+};
+
+module.exports = {
+    History: History
+};
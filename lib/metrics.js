@@ -0,0 +1,137 @@
+/*
+Minimal Prometheus metrics: counters, gauges and histograms with labels,
+rendered in the text exposition format (version 0.0.4).
+
+Values that are cheaper to read when scraped than to keep current (database
+sizes, ages) are set by collectors, which run before every render.
+*/
+
+var CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+var escape = function(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+var labelString = function(names, values) {
+    if (names.length === 0) return '';
+    return '{' + names.map(function(name, i) {
+        return name + '="' + escape(values[i]) + '"';
+    }).join(',') + '}';
+};
+
+var formatValue = function(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+// One metric with its values per combination of labels
+var Metric = function(type, name, help, labelNames, buckets) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames || [];
+    this.buckets = buckets;
+    this.values = {};
+};
+
+Metric.prototype.entry = function(labels) {
+    var values = this.labelNames.map(function(name) {
+        return (labels && labels[name] !== undefined) ? labels[name] : '';
+    });
+    var key = JSON.stringify(values);
+    if (!this.values[key]) {
+        this.values[key] = { labels: values, value: 0 };
+        if (this.type == 'histogram') {
+            this.values[key].counts = this.buckets.map(function() {
+                return 0;
+            });
+            this.values[key].count = 0;
+        }
+    }
+    return this.values[key];
+};
+
+Metric.prototype.inc = function(labels, n) {
+    this.entry(labels).value += (n === undefined) ? 1 : n;
+};
+
+Metric.prototype.set = function(labels, value) {
+    this.entry(labels).value = value;
+};
+
+// Forget the value for some labels (e.g. an age that doesn't apply yet)
+Metric.prototype.remove = function(labels) {
+    var entry = this.entry(labels);
+    delete this.values[JSON.stringify(entry.labels)];
+};
+
+Metric.prototype.observe = function(labels, value) {
+    var entry = this.entry(labels);
+    for (var i = 0; i < this.buckets.length; i++) {
+        if (value <= this.buckets[i]) entry.counts[i]++;
+    }
+    entry.count++;
+    entry.value += value;
+};
+
+Metric.prototype.render = function() {
+    var self = this;
+    var lines = ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' ' + this.type];
+    Object.keys(this.values).sort().forEach(function(key) {
+        var entry = self.values[key];
+        if (self.type != 'histogram') {
+            lines.push(self.name + labelString(self.labelNames, entry.labels) + ' ' + formatValue(entry.value));
+            return;
+        }
+        var names = self.labelNames.concat('le');
+        self.buckets.forEach(function(bucket, i) {
+            lines.push(self.name + '_bucket' + labelString(names, entry.labels.concat(formatValue(bucket))) + ' ' + entry.counts[i]);
+        });
+        lines.push(self.name + '_bucket' + labelString(names, entry.labels.concat('+Inf')) + ' ' + entry.count);
+        lines.push(self.name + '_sum' + labelString(self.labelNames, entry.labels) + ' ' + entry.value);
+        lines.push(self.name + '_count' + labelString(self.labelNames, entry.labels) + ' ' + entry.count);
+    });
+    return lines.join('\n');
+};
+
+var Registry = function() {
+    this.metrics = [];
+    this.collectors = [];
+};
+
+Registry.prototype.add = function(metric) {
+    this.metrics.push(metric);
+    return metric;
+};
+
+Registry.prototype.counter = function(name, help, labelNames) {
+    return this.add(new Metric('counter', name, help, labelNames));
+};
+
+Registry.prototype.gauge = function(name, help, labelNames) {
+    return this.add(new Metric('gauge', name, help, labelNames));
+};
+
+// buckets: upper bounds in ascending order, +Inf is added
+Registry.prototype.histogram = function(name, help, labelNames, buckets) {
+    return this.add(new Metric('histogram', name, help, labelNames, buckets));
+};
+
+Registry.prototype.collect = function(fn) {
+    this.collectors.push(fn);
+};
+
+Registry.prototype.render = function() {
+    this.collectors.forEach(function(fn) {
+        fn();
+    });
+    return this.metrics.map(function(metric) {
+        return metric.render();
+    }).join('\n') + '\n';
+};
+
+module.exports = {
+    CONTENT_TYPE: CONTENT_TYPE,
+    Registry: Registry
+};
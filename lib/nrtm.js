@@ -0,0 +1,175 @@
+/*
+NRTMv3 client.
+
+Sends '-g SOURCE:3:<serial>-LAST' and reads the stream of updates:
+
+  %START Version: 3 RIPE 12345-12400
+
+  ADD 12346
+
+  route: ...
+
+  DEL 12347
+
+  as-set: ...
+
+  %END RIPE
+
+The operation for <serial> itself is already applied locally and skipped.
+All later operations must have contiguous serials; a gap, a %START range
+that doesn't begin at our serial or an error saying the serial is no longer
+(or not yet) available means updates were lost, and is reported as an error
+with code 'ENRTMGAP' so the caller can fetch a fresh dump instead.
+*/
+
+var net = require('net');
+
+var gapError = function(msg) {
+    var err = new Error(msg);
+    err.code = 'ENRTMGAP';
+    return err;
+};
+
+// %ERROR lines from RIPE ('%ERROR:401: invalid range: Not within 100-200')
+// and IRRd ('%% ERROR: ...') mostly name the range of serials available.
+var parseError = function(line, serial) {
+    var msg = line.replace(/^%+\s*/, '');
+    var m = msg.match(/([0-9]+)\s*-\s*([0-9]+)/);
+    if (m) {
+        var first = parseInt(m[1], 10);
+        var last = parseInt(m[2], 10);
+        if (serial < first - 1) return gapError('Serial ' + serial + ' no longer available, server has ' + first + '-' + last + ' (' + msg + ')');
+        if (serial > last) return gapError('Serial ' + serial + ' is ahead of the server at ' + last + ' (' + msg + ')');
+    }
+    return new Error('Server error: ' + msg);
+};
+
+// Fetch all updates after options.serial.
+//
+// options: host, port, source (e.g. 'RIPE'), serial, timeout (ms of inactivity)
+// onOperation({ action: 'ADD' or 'DEL', serial: n, object: [lines] }) is
+// called for every new operation, in order.
+// cb(err, { serial: last applied serial, added: n, deleted: n }) is called once;
+// the result is valid even on error, it tells how far the updates got.
+var fetch = function(options, onOperation, cb) {
+    var result = { serial: options.serial, added: 0, deleted: 0 };
+    var state = 'start';
+    var action = null;
+    var opSerial = 0;
+    var object = [];
+    var buf = '';
+    var done = false;
+
+    var client = net.createConnection(options.port, options.host);
+
+    var finish = function(err) {
+        if (done) return;
+        done = true;
+        client.destroy();
+        cb(err || null, result);
+    };
+
+    var emit = function() {
+        if (opSerial > options.serial) {
+            if (action == 'ADD') {
+                result.added++;
+            } else {
+                result.deleted++;
+            }
+            onOperation({ action: action, serial: opSerial, object: object });
+            result.serial = opSerial;
+        }
+        object = [];
+        state = 'ops';
+    };
+
+    var process = function(line) {
+        var m;
+        if ((/^%+\s*ERROR/i).test(line)) {
+            finish(parseError(line, result.serial));
+            return;
+        }
+        if (line.substring(0, 4) == '%END') {
+            if (state == 'start') {
+                finish(new Error('Got %END before %START'));
+                return;
+            }
+            if (state == 'object' && object.length > 0) emit();
+            finish(null);
+            return;
+        }
+        switch (state) {
+            case 'start':
+                m = line.match(/^%START\s+Version:\s*([0-9]+)\s+(\S+)\s+([0-9]+)-([0-9]+)/);
+                if (m) {
+                    if (m[1] != '3') {
+                        finish(new Error('Unsupported NRTM version ' + m[1]));
+                        return;
+                    }
+                    if (options.source && m[2].toUpperCase() != options.source.toUpperCase()) {
+                        finish(new Error('Server sent source ' + m[2] + ' instead of ' + options.source));
+                        return;
+                    }
+                    if (parseInt(m[3], 10) > options.serial + 1) {
+                        finish(gapError('Server starts at serial ' + m[3] + ', we are at ' + options.serial));
+                        return;
+                    }
+                    state = 'ops';
+                } else if (line !== '' && line[0] != '%') {
+                    finish(new Error('Unexpected line before %START: ' + line));
+                }
+                return;
+            case 'ops':
+                if (line === '' || line[0] == '%') return;
+                m = line.match(/^(ADD|DEL)\s+([0-9]+)$/);
+                if (!m) {
+                    finish(new Error('Expected ADD or DEL, got: ' + line));
+                    return;
+                }
+                opSerial = parseInt(m[2], 10);
+                if (opSerial > options.serial && opSerial != result.serial + 1) {
+                    finish(gapError('Serial gap: expected ' + (result.serial + 1) + ', got ' + opSerial));
+                    return;
+                }
+                action = m[1];
+                object = [];
+                state = 'object';
+                return;
+            case 'object':
+                if (line !== '') {
+                    object.push(line);
+                } else if (object.length > 0) {
+                    emit();
+                }
+                // Ignoring empty line at the beginning
+                return;
+        }
+    };
+
+    client.setEncoding('utf8');
+    client.setTimeout(options.timeout || 300000, function() {
+        finish(new Error('Timeout'));
+    });
+    client.on('connect', function() {
+        client.write('-g ' + options.source + ':3:' + options.serial + '-LAST\n');
+    });
+    client.on('data', function(data) {
+        buf += data;
+        while (!done) {
+            var m = buf.match(/^([^\n\r]*)\r?\n/);
+            if (!m) break;
+            buf = buf.substring(m[0].length);
+            process(m[1]);
+        }
+    });
+    client.on('end', function() {
+        finish(new Error('Connection closed before %END'));
+    });
+    client.on('error', function(err) {
+        finish(err);
+    });
+};
+
+module.exports = {
+    fetch: fetch
+};
@@ -0,0 +1,202 @@
+/*
+NRTMv4 client (draft-ietf-grow-nrtm-v4): mirroring over HTTP(S) with JSON files.
+
+ - the Update Notification File is a JWS (compact serialisation) signed with
+   Ed25519; it names the current session, version, snapshot and deltas
+ - snapshot and delta files are JSON text sequences (RFC 7464), the snapshot
+   usually gzipped; both are checked against the SHA-256 hash from the
+   notification file
+ - a new session ID on the server means the local copy has to be rebuilt from
+   the snapshot, as does a local version that isn't covered by the deltas or
+   is ahead of the server's
+*/
+
+var
+    crypto = require('crypto'),
+    fetch = require('./fetch'),
+    PassThrough = require('stream').PassThrough,
+    zlib = require('zlib'),
+    urlResolve = require('url').resolve;
+
+var DEFAULT_TIMEOUT = 300000;
+
+// Fetch a file with the download settings of the update options
+var get = function(url, options, cb) {
+    fetch.get(url, {
+        retries: options.retries,
+        backoff: options.backoff,
+        timeout: options.timeout || DEFAULT_TIMEOUT,
+        gzip: (/\.gz$/).test(url)
+    }, cb);
+};
+
+var b64url = function(str) {
+    return new Buffer(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+};
+
+// Public keys may be given as PEM or as the base64 encoded 32 byte raw Ed25519 key
+var publicKey = function(key) {
+    if (key.indexOf('-----BEGIN') >= 0) return crypto.createPublicKey(key);
+    var raw = new Buffer(key, 'base64');
+    if (raw.length != 32) throw new Error('Ed25519 public key must be 32 bytes');
+    var der = Buffer.concat([new Buffer('302a300506032b6570032100', 'hex'), raw]);
+    return crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+};
+
+// Verify a JWS compact serialisation and return its parsed JSON payload
+var verify = function(jws, key) {
+    var parts = jws.trim().split('.');
+    if (parts.length != 3) throw new Error('Notification file is not a JWS');
+    var header = JSON.parse(b64url(parts[0]).toString('utf8'));
+    if (header.alg != 'EdDSA') throw new Error('Unsupported signature algorithm ' + header.alg);
+    if (!crypto.verify(null, new Buffer(parts[0] + '.' + parts[1]), publicKey(key), b64url(parts[2]))) {
+        throw new Error('Invalid notification file signature');
+    }
+    return JSON.parse(b64url(parts[1]).toString('utf8'));
+};
+
+// Download a snapshot or delta file, check its hash and feed each record
+// of the JSON sequence to onRecord; the first record is the file header.
+var fetchSequence = function(url, options, hash, onRecord, cb) {
+    get(url, options, function(err, buf) {
+        if (err) return cb(err);
+        var digest = crypto.createHash('sha256').update(buf).digest('hex');
+        if (digest != String(hash).toLowerCase()) return cb(new Error('Hash mismatch for ' + url));
+        var stream;
+        if (buf[0] == 0x1f && buf[1] == 0x8b) {
+            stream = zlib.createGunzip();
+        } else {
+            stream = new PassThrough();
+        }
+        var rest = '';
+        var failed = false;
+        var handle = function(text) {
+            if (failed || text.trim() === '') return;
+            try {
+                onRecord(JSON.parse(text));
+            } catch (e) {
+                failed = true;
+                cb(new Error('Invalid record in ' + url + ': ' + e.message));
+            }
+        };
+        stream.setEncoding('utf8');
+        stream.on('data', function(data) {
+            var records = (rest + data).split('\x1e');
+            rest = records.pop();
+            records.forEach(handle);
+        });
+        stream.on('end', function() {
+            handle(rest);
+            if (!failed) cb(null);
+        });
+        stream.on('error', function(e) {
+            if (failed) return;
+            failed = true;
+            cb(e);
+        });
+        stream.end(buf);
+    });
+};
+
+var checkHeader = function(header, type, unf) {
+    if (!header || header.nrtm_version != 4 || header.type != type) throw new Error('Not an NRTMv4 ' + type + ' file');
+    if (header.source != unf.source || header.session_id != unf.session_id) throw new Error(type + ' file belongs to a different source or session');
+};
+
+// Bring a local copy up to date.
+//
+// options:  url (of the notification file), publicKey, source, and retries,
+//           backoff (ms) and timeout (ms of inactivity) for the downloads
+// state:    { session: id, version: n } of the local copy, or null
+// handlers: snapshot(session, version)          start over with an empty database
+//           add(lines, version)                 add or replace an RPSL object
+//           remove(objectClass, key, version)   delete an object
+//           version(n)                          all changes up to version n are applied
+// cb(err, { snapshot: bool, version: n, deltas: n })
+var update = function(options, state, handlers, cb) {
+    get(options.url, options, function(err, buf) {
+        if (err) return cb(err);
+        var unf;
+        try {
+            unf = verify(buf.toString('utf8'), options.publicKey);
+            if (unf.nrtm_version != 4 || unf.type != 'notification') throw new Error('Not an NRTMv4 notification file');
+            if (options.source && String(unf.source).toUpperCase() != options.source.toUpperCase()) {
+                throw new Error('Notification file is for source ' + unf.source + ', not ' + options.source);
+            }
+        } catch (e) {
+            return cb(e);
+        }
+        var res = { snapshot: false, version: state ? state.version : 0, deltas: 0 };
+        var deltas = (unf.deltas || []).slice().sort(function(a, b) {
+            return a.version - b.version;
+        });
+
+        var applyDeltas = function() {
+            var pending = deltas.filter(function(delta) {
+                return delta.version > res.version;
+            });
+            var next = function() {
+                if (pending.length === 0) return cb(null, res);
+                var delta = pending.shift();
+                if (delta.version != res.version + 1) return cb(new Error('Missing delta ' + (res.version + 1)));
+                var first = true;
+                fetchSequence(urlResolve(options.url, delta.url), options, delta.hash, function(record) {
+                    if (first) {
+                        checkHeader(record, 'delta', unf);
+                        if (record.version != delta.version) throw new Error('Delta file has version ' + record.version);
+                        first = false;
+                        return;
+                    }
+                    if (record.action == 'delete') {
+                        handlers.remove(record.object_class, record.primary_key, delta.version);
+                    } else if (record.action == 'add_modify') {
+                        handlers.add(record.object.split('\n'), delta.version);
+                    } else {
+                        throw new Error('Unknown delta action ' + record.action);
+                    }
+                }, function(err) {
+                    if (err) return cb(err, res);
+                    res.version = delta.version;
+                    res.deltas++;
+                    handlers.version(res.version);
+                    next();
+                });
+            };
+            next();
+        };
+
+        var sameSession = state && state.session == unf.session_id;
+        var ahead = sameSession && state.version > unf.version;
+        if (ahead) console.log('NRTMv4 ' + unf.source + ': local version ' + state.version + ' is ahead of the server at ' + unf.version);
+        var covered = sameSession && !ahead && (state.version == unf.version || deltas.some(function(delta) {
+            return delta.version == state.version + 1;
+        }));
+        if (covered) return applyDeltas();
+
+        // New session, too far behind or ahead of the server: start over from the snapshot
+        if (!unf.snapshot) return cb(new Error('Notification file has no snapshot'));
+        console.log('NRTMv4 ' + unf.source + ': loading snapshot version ' + unf.snapshot.version + ' of session ' + unf.session_id);
+        var first = true;
+        fetchSequence(urlResolve(options.url, unf.snapshot.url), options, unf.snapshot.hash, function(record) {
+            if (first) {
+                checkHeader(record, 'snapshot', unf);
+                if (record.version != unf.snapshot.version) throw new Error('Snapshot file has version ' + record.version);
+                handlers.snapshot(unf.session_id, record.version);
+                first = false;
+                return;
+            }
+            handlers.add(record.object.split('\n'), unf.snapshot.version);
+        }, function(err) {
+            if (err) return cb(err, res);
+            res.snapshot = true;
+            res.version = unf.snapshot.version;
+            handlers.version(res.version);
+            applyDeltas();
+        });
+    });
+};
+
+module.exports = {
+    update: update,
+    verify: verify
+};
@@ -0,0 +1,156 @@
+/*
+RPKI origin validation (RFC 6811) against a locally supplied set of VRPs
+(validated ROA payloads).
+
+Supported file formats, detected from the content:
+ - JSON as written by routinator (-f json), rpki-client (-j) and OctoRPKI:
+   { "roas": [ { "asn": "AS13335" or 13335, "prefix": "1.0.0.0/24", "maxLength": 24, ... } ] }
+ - CSV as written by routinator (-f csv) and rpki-client (-c):
+   a header line naming the ASN, IP Prefix and Max Length columns, then one VRP per line
+*/
+
+var
+    fs = require('fs'),
+    address = require('./address'),
+    Trie = require('./trie').Trie;
+
+var VALID = 'valid';
+var INVALID = 'invalid';
+var NOT_FOUND = 'not-found';
+
+var parseAsn = function(value) {
+    var m = String(value).trim().match(/^(?:AS)?([0-9]+)$/i);
+    return m ? parseInt(m[1], 10) : null;
+};
+
+// Turn one VRP into { prefix: Buffer, asn: n, maxLength: n }, or null if it's unusable
+var makeVrp = function(asn, prefix, maxLength) {
+    asn = parseAsn(asn);
+    prefix = String(prefix).trim();
+    if (asn === null || !(/^[0-9a-f.:]+\/[0-9]{1,3}$/i).test(prefix)) return null;
+    var buf = address.str2ip(prefix);
+    if (!buf) return null;
+    var bits = (buf.length > 5) ? 128 : 32;
+    var len = buf[buf.length - 1];
+    maxLength = (maxLength === undefined || maxLength === null || maxLength === '') ? len : parseInt(maxLength, 10);
+    if (len > bits || isNaN(maxLength) || maxLength < len || maxLength > bits) return null;
+    return { prefix: buf, asn: asn, maxLength: maxLength };
+};
+
+var parseJson = function(content) {
+    var data = JSON.parse(content);
+    if (!data || !Array.isArray(data.roas)) throw new Error('no "roas" list found');
+    return data.roas.map(function(roa) {
+        return makeVrp(roa.asn, roa.prefix, (roa.maxLength !== undefined) ? roa.maxLength : roa.maxlen);
+    });
+};
+
+var parseCsv = function(content) {
+    var lines = content.split(/\r?\n/);
+    var header = lines.shift().split(',').map(function(col) {
+        return col.trim().toLowerCase();
+    });
+    var col = function(names) {
+        for (var i = 0; i < header.length; i++) {
+            if (names.indexOf(header[i]) >= 0) return i;
+        }
+        return -1;
+    };
+    var asnCol = col(['asn', 'as']);
+    var prefixCol = col(['ip prefix', 'prefix']);
+    var maxCol = col(['max length', 'maxlength', 'max_length']);
+    if (asnCol < 0 || prefixCol < 0) throw new Error('CSV header must name the ASN and IP Prefix columns');
+    var res = [];
+    for (var i = 0; i < lines.length; i++) {
+        if (lines[i].trim() === '') continue;
+        var fields = lines[i].split(',');
+        res.push(makeVrp(fields[asnCol], fields[prefixCol], (maxCol >= 0) ? fields[maxCol] : undefined));
+    }
+    return res;
+};
+
+var Validator = function(file, interval) {
+    this.file = file;
+    this.interval = interval;
+    this.tries = null;
+    this.count = 0;
+    this.mtime = 0;
+};
+
+// Read the VRP file and swap in the new set if it could be parsed. A broken
+// file keeps the previously loaded VRPs in use.
+Validator.prototype.load = function(cb) {
+    var self = this;
+    fs.readFile(this.file, 'utf8', function(err, content) {
+        if (err) {
+            console.log('Could not read VRP file ' + self.file + ': ' + err.message);
+            if (cb) cb(err);
+            return;
+        }
+        var vrps;
+        try {
+            vrps = (content.trim()[0] == '{') ? parseJson(content) : parseCsv(content);
+        } catch (e) {
+            console.log('Could not parse VRP file ' + self.file + ': ' + e.message);
+            if (cb) cb(e);
+            return;
+        }
+        var tries = { 4: new Trie(5), 6: new Trie(17) };
+        var count = 0;
+        var skipped = 0;
+        for (var i = 0; i < vrps.length; i++) {
+            if (!vrps[i]) {
+                skipped++;
+                continue;
+            }
+            tries[(vrps[i].prefix.length > 5) ? 6 : 4].add(vrps[i].prefix, { asn: vrps[i].asn, maxLength: vrps[i].maxLength });
+            count++;
+        }
+        self.tries = tries;
+        self.count = count;
+        console.log('Loaded ' + count + ' VRPs from ' + self.file + (skipped ? '; skipped ' + skipped + ' invalid entries' : ''));
+        if (cb) cb(null);
+    });
+};
+
+// Load the file and reload it whenever its modification time changes
+Validator.prototype.start = function() {
+    var self = this;
+    this.load();
+    fs.watchFile(this.file, { persistent: false, interval: this.interval * 1000 }, function(cur, prev) {
+        if (cur.mtime.getTime() == prev.mtime.getTime() || cur.mtime.getTime() === 0) return;
+        console.log('VRP file changed, reloading');
+        self.load();
+    });
+};
+
+Validator.prototype.stop = function() {
+    fs.unwatchFile(this.file);
+};
+
+Validator.prototype.ready = function() {
+    return this.tries !== null;
+};
+
+// Origin validation state of a route object
+Validator.prototype.validate = function(prefix, origin) {
+    var found = this.tries[(prefix.length > 5) ? 6 : 4].lookup(prefix, 0);
+    var covering = found.less.slice();
+    if (found.exact) covering.push(found.exact);
+    if (covering.length === 0) return NOT_FOUND;
+    var len = prefix[prefix.length - 1];
+    for (var i = 0; i < covering.length; i++) {
+        for (var j = 0; j < covering[i].origins.length; j++) {
+            var vrp = covering[i].origins[j];
+            if (vrp.asn !== 0 && vrp.asn == origin && len <= vrp.maxLength) return VALID;
+        }
+    }
+    return INVALID;
+};
+
+module.exports = {
+    VALID: VALID,
+    INVALID: INVALID,
+    NOT_FOUND: NOT_FOUND,
+    Validator: Validator
+};
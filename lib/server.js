@@ -0,0 +1,670 @@
+/*
+HTTP API of a TinyIRRDBCache instance (lib/cache.js): the original lookup
+routes, /v1, reverse lookups, history, watches with their event stream, and
+metrics, health and readiness for monitoring.
+
+    require('./lib/server').createServer(cache).listen(8086);
+*/
+
+var
+    http = require('http'),
+    urlParse = require('url').parse,
+    expandTree = require('./expand').tree,
+    TREE_LIMITS = require('./expand').TREE_LIMITS,
+    findSource = require('./expand').findSource,
+    parseAsn = require('./expand').parseAsn,
+    withLocal = require('./expand').withLocal,
+    formats = require('./formats'),
+    aggregatePrefixes = require('./aggregate').aggregate,
+    dedupePrefixes = require('./aggregate').dedupe,
+    rpki = require('./rpki'),
+    missingFrom = require('./watches').missingFrom,
+    splitList = require('./cache').splitList,
+    metrics = require('./metrics'),
+    address = require('./address'),
+    v42str = address.v42str,
+    v62str = address.v62str;
+
+// Entries { prefix: string, ge, le } for the routes a range operator applies
+// to, limited to maxLength and optionally without duplicates
+var rangedEntries = function(routes, v6, maxLength, dedupe) {
+    var res = [];
+    var seen = {};
+    for (var i = 0; i < routes.length; i++) {
+        if (routes[i].ge === undefined) continue;
+        var entry = { prefix: v6 ? v62str(routes[i].prefix) : v42str(routes[i].prefix), ge: routes[i].ge, le: routes[i].le };
+        if (maxLength !== null) {
+            if (entry.ge > maxLength) continue;
+            entry.le = Math.min(entry.le, maxLength);
+        }
+        var key = formats.toString(entry);
+        if (dedupe && seen[key]) continue;
+        seen[key] = true;
+        res.push(entry);
+    }
+    return res;
+};
+
+// Address or prefix given for a reverse lookup; a plain address is taken as
+// a host route. Returns null for anything that doesn't look like one.
+var parseQueryPrefix = function(str) {
+    var prefix = address.parse(str, true);
+    if (prefix) address.normalise(prefix);
+    return prefix;
+};
+
+// Boolean query parameters: '?aggregate', '?aggregate=1', '?aggregate=true'
+var queryFlag = function(value) {
+    return value === '' || value == '1' || value == 'true' || value == 'yes';
+};
+
+// A point in the history of the databases: a serial (meaningful for a
+// single source only) or anything Date.parse() understands
+var parsePoint = function(str) {
+    if ((/^[0-9]+$/).test(str)) return { serial: parseInt(str, 10) };
+    var time = Date.parse(str);
+    return isNaN(time) ? null : { time: time };
+};
+
+// /history/<sources>/<name>/v4|6?at=<point>: expansion as of an earlier point
+// /history/<sources>/<name>/v4|6?from=<point>[&to=<point>]: what changed in between (to defaults to now)
+var historyQuery = function(cache, req, res) {
+    var url = urlParse(req.url).pathname.match(/^\/history\/([^\/]+)\/([^\/]+)\/v(4|6)$/);
+    var query = urlParse(req.url, true).query;
+    if (!url || (query.at === undefined && query.from === undefined)) {
+        res.end('Use /history/<sources>/<name>/v4 (or v6) with ?at=<serial or time> or ?from=<serial or time>[&to=<serial or time>].');
+        return;
+    }
+    var sources = url[1].split(',');
+    for (var i = 0; i < sources.length; i++) {
+        var dbName = findSource(cache.config.databases, sources[i]);
+        if (!dbName || !cache.databases[dbName]) {
+            res.end('Database not found.');
+            return;
+        }
+        if (!cache.history[dbName]) {
+            res.end('No history kept for ' + dbName + '.');
+            return;
+        }
+        sources[i] = dbName;
+    }
+    var names = (query.at !== undefined) ? ['at'] : ['from', 'to'];
+    var points = {};
+    for (i = 0; i < names.length; i++) {
+        if (query[names[i]] === undefined) {
+            points[names[i]] = null;
+            continue;
+        }
+        points[names[i]] = parsePoint(query[names[i]]);
+        if (!points[names[i]]) {
+            res.end('Invalid ' + names[i] + '.');
+            return;
+        }
+        if (points[names[i]].serial !== undefined && sources.length > 1) {
+            res.end('A serial only identifies a point in the history of a single source; use a time.');
+            return;
+        }
+    }
+    var v6 = url[3] == '6';
+    // Expansion at a point; null is the current data
+    var expandAt = function(point, cb) {
+        if (!point) {
+            var serials = {};
+            sources.forEach(function(dbName) {
+                serials[dbName] = cache.databases[dbName].serial;
+            });
+            return cb(null, serials, cache.expansionLists(cache.databases, sources, url[2], v6));
+        }
+        cache.historicState(sources, point, function(err, state) {
+            if (err) return cb(err);
+            cb(null, state.serials, cache.expansionLists(state.databases, sources, url[2], v6));
+        });
+    };
+    console.log('History lookup of ' + url[2] + ' in ' + sources.join(', '));
+    expandAt(points[names[0]], function(err, serials, lists) {
+        if (err) {
+            res.end(err.message + '.');
+            return;
+        }
+        if (names[0] == 'at') {
+            res.end(JSON.stringify({ at: serials, prefixes: lists.prefixes, asns: lists.asns, macros: lists.macros, sources: lists.sources }));
+            return;
+        }
+        expandAt(points.to, function(err, toSerials, toLists) {
+            if (err) {
+                res.end(err.message + '.');
+                return;
+            }
+            res.end(JSON.stringify({
+                from: serials,
+                to: toSerials,
+                added: { prefixes: missingFrom(toLists.prefixes, lists.prefixes), asns: missingFrom(toLists.asns, lists.asns) },
+                removed: { prefixes: missingFrom(lists.prefixes, toLists.prefixes), asns: missingFrom(lists.asns, toLists.asns) }
+            }));
+        });
+    });
+};
+
+// Options of an expansion request from its query string: { error, status } if
+// one is invalid. bits is the longest prefix length of the families asked for.
+var lookupOptions = function(cache, query, bits) {
+    if (query.format && query.format != 'json' && !formats.isFormat(query.format)) {
+        return { error: 'Unknown format. Supported formats: json, ' + formats.names.join(', '), status: 400 };
+    }
+    if (query.name && !formats.isName(query.name)) {
+        return { error: 'Invalid list name.', status: 400 };
+    }
+    var opts = {
+        format: (query.format == 'json') ? null : (query.format || null),
+        name: query.name,
+        maxLength: null,
+        aggregate: queryFlag(query.aggregate),
+        dedupe: queryFlag(query.dedupe),
+        rpki: (query.rpki === '') ? 'annotate' : (query.rpki || null),
+        provenance: queryFlag(query.provenance),
+        mntners: query.mntner ? splitList(query.mntner) : null,
+        sameMntner: queryFlag(query['same-mntner'])
+    };
+    if (query.maxlen !== undefined) {
+        opts.maxLength = (/^[0-9]+$/).test(query.maxlen) ? parseInt(query.maxlen, 10) : -1;
+        if (opts.maxLength < 0 || opts.maxLength > bits) {
+            return { error: 'Invalid maxlen.', status: 400 };
+        }
+    }
+    if (opts.aggregate && opts.format && !formats.supportsRanges(opts.format)) {
+        return { error: 'Format ' + opts.format + ' can not express aggregated prefixes; use juniper-route-filter.', status: 400 };
+    }
+    if (opts.rpki && opts.rpki != 'annotate' && opts.rpki != 'drop-invalid') {
+        return { error: 'Invalid rpki mode. Use annotate or drop-invalid.', status: 400 };
+    }
+    if (opts.rpki && (!cache.validator || !cache.validator.ready())) {
+        return { error: 'RPKI validation not available: no VRPs loaded.', status: 503 };
+    }
+    return opts;
+};
+
+// Expand a name in one address family and apply the lookup options:
+// { result (of expand), prefixes (strings, or { prefix, ge, le } entries),
+//   rpki (counts), sets and routes (provenance/rpki details) } or { error, status }
+var prefixList = function(cache, sources, name, v6, opts) {
+    // The expansion is shared with the cache; the options replace its routes, never change them
+    var expanded = cache.expansions.expand(sources, name, v6 ? 6 : 4);
+    var result = { macros: expanded.macros, sources: expanded.sources, missing: expanded.missing, asns: expanded.asns, routes: expanded.routes, excluded: expanded.excluded };
+    // Provenance of a set found during expansion (names may be source qualified)
+    var setProvenance = function(name) {
+        return cache.databases[result.sources[name]].provenance[name.replace(/^.*::/, '')] || null;
+    };
+    var mntners = opts.mntners;
+    if (opts.sameMntner) {
+        var root = String(name).toUpperCase();
+        if (!result.sources[root]) {
+            return { error: 'same-mntner needs a set that exists.', status: 404 };
+        }
+        mntners = (mntners || []).concat(setProvenance(root) ? setProvenance(root).mntBy : []);
+    }
+    if (mntners) {
+        // Prefixes listed in a route-set come with the set, they have no maintainer of their own
+        result.routes = result.routes.filter(function(route) {
+            if (route.origin === null) return true;
+            var info = cache.provenance(route.source, route.prefix, route.origin);
+            return info !== null && info.mntBy.some(function(mnt) {
+                return mntners.indexOf(mnt) >= 0;
+            });
+        });
+    }
+    var rpkiCounts = null;
+    if (opts.rpki) {
+        rpkiCounts = {};
+        rpkiCounts[rpki.VALID] = rpkiCounts[rpki.INVALID] = rpkiCounts[rpki.NOT_FOUND] = 0;
+        result.routes = result.routes.map(function(route) {
+            // Prefixes listed in route-sets have no origin to validate
+            if (route.origin === null) return route;
+            var validated = {};
+            for (var key in route) validated[key] = route[key];
+            validated.rpki = cache.validator.validate(route.prefix, route.origin);
+            rpkiCounts[validated.rpki]++;
+            return validated;
+        });
+        if (opts.rpki == 'drop-invalid') {
+            result.routes = result.routes.filter(function(route) {
+                return route.rpki != rpki.INVALID;
+            });
+        }
+    }
+    // Route-set members with range operators are passed through as they are
+    var ranged = rangedEntries(result.routes, v6, opts.maxLength, opts.aggregate || opts.dedupe);
+    if (ranged.length > 0 && opts.format && !formats.supportsRanges(opts.format)) {
+        return { error: 'Format ' + opts.format + ' can not express the range operators in ' + name + '; use juniper-route-filter.', status: 400 };
+    }
+    var prefixes = result.routes.filter(function(route) {
+        return route.ge === undefined;
+    }).map(function(route) {
+        return route.prefix;
+    });
+    if (opts.aggregate) {
+        prefixes = aggregatePrefixes(prefixes, opts.maxLength).map(function(entry) {
+            entry.prefix = v6 ? v62str(entry.prefix) : v42str(entry.prefix);
+            return entry;
+        });
+    } else {
+        if (opts.dedupe) {
+            prefixes = dedupePrefixes(prefixes, opts.maxLength);
+        } else if (opts.maxLength !== null) {
+            prefixes = prefixes.filter(function(prefix) {
+                return prefix[prefix.length - 1] <= opts.maxLength;
+            });
+        }
+        prefixes = prefixes.map(function(prefix) {
+            return v6 ? v62str(prefix) : v42str(prefix);
+        });
+    }
+    var list = { result: result, prefixes: prefixes.concat(ranged), rpki: rpkiCounts, sets: null, routes: null };
+    if (opts.provenance) {
+        list.sets = {};
+        for (var set in result.sources) {
+            list.sets[set] = setProvenance(set);
+        }
+    }
+    if (opts.rpki || opts.provenance) {
+        list.routes = result.routes.map(function(route) {
+            var entry = { prefix: formats.toString({ prefix: v6 ? v62str(route.prefix) : v42str(route.prefix), ge: route.ge, le: route.le }), origin: route.origin, source: route.source };
+            if (opts.rpki) entry.rpki = route.rpki;
+            if (opts.provenance) entry.provenance = (route.origin === null) ? null : cache.provenance(route.source, route.prefix, route.origin);
+            return entry;
+        });
+    }
+    return list;
+};
+
+// Machine readable description of the /v1 API, served at /v1
+var lookupParameters = [
+    { name: 'aggregate', description: 'smallest equivalent set of prefixes, with ranges (implies dedupe)' },
+    { name: 'dedupe', description: 'drop duplicate prefixes' },
+    { name: 'maxlen', description: 'drop prefixes longer than this' },
+    { name: 'rpki', description: 'annotate (default) or drop-invalid; needs a VRP file' },
+    { name: 'provenance', description: 'add the sets and routes with their maintainers, source and last change' },
+    { name: 'mntner', description: 'only routes maintained by one of these (comma separated) maintainers' },
+    { name: 'same-mntner', description: 'only routes sharing a maintainer with the set' },
+    { name: 'format', description: 'router configuration instead of JSON (single family only): ' + formats.names.join(', ') },
+    { name: 'name', description: 'list name for format' }
+];
+var apiDescription = {
+    version: 1,
+    errors: 'JSON { error: { status, message } } with status 400 (invalid request), 404 (unknown database, set or endpoint), 405 (method) or 503 (not available yet)',
+    endpoints: [
+        { method: 'GET', path: '/v1', description: 'this description' },
+        { method: 'GET', path: '/v1/databases', description: 'configured databases with their serial and object counts' },
+        {
+            method: 'GET',
+            path: '/v1/expand/{name}',
+            description: 'prefixes, member ASNs and nested sets of an as-set, route-set or ASN (AS123 or 123)',
+            parameters: [
+                { name: 'sources', description: 'comma separated databases in order of preference; all by default' },
+                { name: 'family', description: '4, 6 or both (default)' }
+            ].concat(lookupParameters)
+        },
+        {
+            method: 'GET',
+            path: '/v1/tree/{name}',
+            description: 'expansion tree of a set or ASN: nested sets with their path and depth, prefix counts per branch, ' +
+                'missing and unresolvable sets, ASNs without route objects, loops, and whether limits cut it short',
+            parameters: [
+                { name: 'sources', description: 'comma separated databases in order of preference; all by default' },
+                { name: 'family', description: '4, 6 or both (default)' },
+                { name: 'maxdepth', description: 'sets nested deeper are not expanded; default ' + TREE_LIMITS.depth },
+                { name: 'maxprefixes', description: 'no more sets are expanded once this many route objects were counted; default ' + TREE_LIMITS.prefixes }
+            ]
+        },
+        {
+            method: 'GET',
+            path: '/v1/lookup/{prefix}',
+            description: 'route objects exactly matching, covering and covered by an address or prefix',
+            parameters: [
+                { name: 'limit', description: 'more specifics per database, default 1000' },
+                { name: 'provenance', description: 'add the provenance of each route object' }
+            ]
+        }
+    ]
+};
+
+// A percent-encoded part of a path, or null if its escapes are malformed
+var decodePath = function(str) {
+    try {
+        return decodeURIComponent(str);
+    } catch (e) {
+        if (e instanceof URIError) return null;
+        throw e;
+    }
+};
+
+var apiError = function(res, status, message) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: { status: status, message: message } }));
+};
+
+var apiResult = function(res, body) {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+};
+
+// Database names from the sources parameter (all by default, and always the
+// local database), or { error, status }
+var v1Sources = function(cache, query) {
+    return cache.resolveSources(query.sources ? query.sources.split(',') : null);
+};
+
+var serialsOf = function(cache, sources) {
+    var serials = {};
+    sources.forEach(function(dbName) {
+        serials[dbName] = cache.databases[dbName].serial;
+    });
+    return serials;
+};
+
+// /v1/expand/<name>: one schema for sets and ASNs, for one or both families
+var v1Expand = function(cache, req, res, name) {
+    var query = urlParse(req.url, true).query;
+    var family = query.family || 'both';
+    if (family != '4' && family != '6' && family != 'both') return apiError(res, 400, 'family must be 4, 6 or both');
+    var families = (family == 'both') ? [4, 6] : [parseInt(family, 10)];
+    var opts = lookupOptions(cache, query, (family == '4') ? 32 : 128);
+    if (opts.error) return apiError(res, opts.status, opts.error);
+    if (opts.format && families.length > 1) return apiError(res, 400, 'format needs a single family');
+    var sources = v1Sources(cache, query);
+    if (sources.error) return apiError(res, sources.status, sources.error);
+    var i;
+    name = name.toUpperCase();
+    var body = {
+        name: name,
+        type: null,
+        sources: sources,
+        serials: serialsOf(cache, sources),
+        prefixes: {},
+        asns: [],
+        sets: [],
+        setSources: {},
+        missing: [],
+        excluded: { sets: [], asns: [], prefixes: [] },
+        counts: { asns: 0, sets: 0 }
+    };
+    for (i = 0; i < families.length; i++) {
+        var list = prefixList(cache, sources, name, families[i] == 6, opts);
+        if (list.error) return apiError(res, list.status, list.error);
+        if (parseAsn(name) === null && list.result.missing.indexOf(name) >= 0) {
+            return apiError(res, 404, name + ' not found in ' + sources.join(', '));
+        }
+        if (opts.format) {
+            res.setHeader('Content-Type', 'text/plain');
+            res.end(formats.format(opts.format, opts.name, families[i], list.prefixes));
+            return;
+        }
+        var key = 'ipv' + families[i];
+        body.prefixes[key] = list.prefixes.map(formats.toString);
+        body.counts[key] = list.prefixes.length;
+        body.asns = list.result.asns;
+        body.sets = list.result.macros;
+        body.setSources = list.result.sources;
+        body.missing = list.result.missing;
+        body.excluded = {
+            sets: list.result.excluded.sets,
+            asns: list.result.excluded.asns,
+            prefixes: body.excluded.prefixes.concat(list.result.excluded.prefixes)
+        };
+        if (list.rpki) {
+            body.rpki = body.rpki || {};
+            body.rpki[key] = list.rpki;
+        }
+        if (list.sets) body.provenance = list.sets;
+        if (list.routes) body.routes = (body.routes || []).concat(list.routes);
+    }
+    if (parseAsn(name) !== null) {
+        body.type = 'asn';
+    } else if (body.setSources[name]) {
+        body.type = cache.databases[body.setSources[name]].routeSets[name] ? 'route-set' : 'as-set';
+    }
+    body.counts.asns = body.asns.length;
+    body.counts.sets = body.sets.length;
+    apiResult(res, body);
+};
+
+// /v1/tree/<name>: the expansion tree with everything that didn't resolve
+var v1Tree = function(cache, req, res, name) {
+    var query = urlParse(req.url, true).query;
+    var family = query.family || 'both';
+    if (family != '4' && family != '6' && family != 'both') return apiError(res, 400, 'family must be 4, 6 or both');
+    var limits = {};
+    for (var key in TREE_LIMITS) {
+        var param = query['max' + key];
+        limits[key] = (param === undefined) ? TREE_LIMITS[key] : Number(param);
+        if (!(limits[key] >= 1 && limits[key] % 1 === 0)) return apiError(res, 400, 'max' + key + ' must be a positive integer');
+    }
+    var sources = v1Sources(cache, query);
+    if (sources.error) return apiError(res, sources.status, sources.error);
+    name = name.toUpperCase();
+    console.log('Expansion tree of ' + name + ' in ' + sources.join(','));
+    var result = expandTree(cache.databases, cache.config.databases, sources, name, (family == 'both') ? [4, 6] : [parseInt(family, 10)], limits, cache.filter);
+    if (result.tree.status == 'missing' || result.tree.status == 'unresolvable') {
+        return apiError(res, 404, name + ' not found in ' + sources.join(', '));
+    }
+    result.name = name;
+    result.sources = sources;
+    result.serials = serialsOf(cache, sources);
+    result.limits = limits;
+    apiResult(res, result);
+};
+
+// Versioned JSON API; see apiDescription
+var v1Request = function(cache, req, res) {
+    var pathname = urlParse(req.url).pathname.replace(/\/$/, '');
+    if (req.method != 'GET' && req.method != 'HEAD') return apiError(res, 405, 'Only GET is supported');
+    if (pathname == '/v1') return apiResult(res, apiDescription);
+    if (pathname == '/v1/databases') {
+        return apiResult(res, Object.keys(cache.config.databases).map(function(dbName) {
+            var db = cache.databases[dbName];
+            return {
+                name: dbName,
+                source: cache.config.databases[dbName].intName || null,
+                loaded: !!db,
+                serial: db ? db.serial : null,
+                counts: db ? { prefixes: db.pc, asSets: db.mc, routeSets: Object.keys(db.routeSets).length } : null
+            };
+        }));
+    }
+    var m = pathname.match(/^\/v1\/(expand|tree|lookup)\/(.+)$/);
+    var param = m && decodePath(m[2]);
+    if (m && param === null) return apiError(res, 400, 'Malformed percent-encoding in the path');
+    m = pathname.match(/^\/v1\/expand\/([^\/]+)$/);
+    if (m) return v1Expand(cache, req, res, param);
+    m = pathname.match(/^\/v1\/tree\/([^\/]+)$/);
+    if (m) return v1Tree(cache, req, res, param);
+    m = pathname.match(/^\/v1\/lookup\/(.+)$/);
+    if (m) {
+        var prefix = parseQueryPrefix(param);
+        if (!prefix) return apiError(res, 400, 'Invalid address or prefix');
+        var query = urlParse(req.url, true).query;
+        var limit = parseInt(query.limit, 10) || 1000;
+        return apiResult(res, cache.reverseLookup(prefix, limit, queryFlag(query.provenance)));
+    }
+    apiError(res, 404, 'No such endpoint; see /v1');
+};
+
+// GET /watches: all watches
+// POST /watches/<sources>/<name>: watch a set or ASN; GET it for its current expansion, DELETE to stop watching
+var watchRequest = function(cache, req, res) {
+    var url = urlParse(req.url).pathname.match(/^\/watches(?:\/([^\/]+)\/([^\/]+))?\/?$/);
+    if (!url) {
+        res.end('Use /watches or /watches/<sources>/<name>.');
+        return;
+    }
+    if (!url[1]) {
+        res.end(JSON.stringify(cache.watches.list()));
+        return;
+    }
+    var sources = url[1].split(',');
+    for (var i = 0; i < sources.length; i++) {
+        var dbName = findSource(cache.config.databases, sources[i]);
+        if (!dbName || !cache.databases[dbName]) {
+            res.end('Database not found.');
+            return;
+        }
+        sources[i] = dbName;
+    }
+    var name = decodePath(url[2]);
+    if (name === null) {
+        res.end('Invalid name.');
+        return;
+    }
+    var id = cache.watches.id(sources, name);
+    if (req.method == 'POST') {
+        console.log('Watching ' + id);
+        res.end(JSON.stringify(cache.watches.add(sources, name, cache.watchExpansion(sources, name))));
+    } else if (req.method == 'DELETE') {
+        res.end(cache.watches.remove(id) ? 'Removed.' : 'No such watch.');
+    } else {
+        res.end(cache.watches.get(id) ? JSON.stringify(cache.watches.get(id)) : 'No such watch.');
+    }
+};
+
+// Endpoint name of a request for the HTTP metrics
+var endpoint = function(url) {
+    var m = url.match(/^\/(lookup|history|watches|events|dump|metrics|health|ready)(\/|\?|$)/);
+    if (m) return m[1];
+    m = url.match(/^\/v1(\/[a-z]+)?/);
+    if (m) return 'v1' + (m[1] || '');
+    return (url.match(/^\/[^\/]+\/[^\/]+\/v(4|6)/)) ? 'expand' : 'other';
+};
+
+// The HTTP API of a cache (see README.md), not yet listening
+var createServer = function(cache) {
+    return http.createServer(function(req, res) {
+        var requestStarted = process.hrtime();
+        var requestEndpoint = endpoint(req.url);
+        res.on('finish', function() {
+            var took = process.hrtime(requestStarted);
+            cache.stats.requests.inc({ endpoint: requestEndpoint, code: res.statusCode });
+            // Event streams stay open as long as the client wants
+            if (requestEndpoint != 'events') cache.stats.latency.observe({ endpoint: requestEndpoint }, took[0] + took[1] / 1e9);
+        });
+
+        if (req.url == '/metrics') {
+            res.setHeader('Content-Type', metrics.CONTENT_TYPE);
+            res.end(cache.registry.render());
+            return;
+        }
+
+        if (req.url == '/health') {
+            res.end('OK');
+            return;
+        }
+
+        if (req.url == '/ready') {
+            var readyState = cache.readiness();
+            res.statusCode = readyState.ready ? 200 : 503;
+            res.end(JSON.stringify(readyState));
+            return;
+        }
+
+        if (req.url == '/') {
+            res.end('see the source code on the serving machine at ' + process.argv[1] + ' for usage details. (Or see the README)');
+            return;
+        }
+
+        if (req.url.match(/^\/lookup\//)) {
+            var lookupPath = decodePath(urlParse(req.url).pathname.substring(8));
+            var prefix = (lookupPath !== null) && parseQueryPrefix(lookupPath);
+            if (!prefix) {
+                res.end('Invalid address or prefix.');
+                return;
+            }
+            var lookupQuery = urlParse(req.url, true).query;
+            var limit = parseInt(lookupQuery.limit, 10) || 1000;
+            res.end(JSON.stringify(cache.reverseLookup(prefix, limit, queryFlag(lookupQuery.provenance))));
+            return;
+        }
+
+        if (req.url.match(/^\/v1(\/|\?|$)/)) {
+            v1Request(cache, req, res);
+            return;
+        }
+
+        if (req.url.match(/^\/watches(\/|$)/)) {
+            watchRequest(cache, req, res);
+            return;
+        }
+
+        if (req.url.match(/^\/events(\?|$)/)) {
+            // Server-Sent Events stream of changes, optionally only for ?watch=<id> (repeatable)
+            var watchIds = urlParse(req.url, true).query.watch;
+            cache.watches.subscribe(res, (watchIds === undefined) ? null : [].concat(watchIds));
+            return;
+        }
+
+        if (req.url.match(/^\/history\//)) {
+            historyQuery(cache, req, res);
+            return;
+        }
+
+        if (req.url == '/dump') {
+            console.log('dumping db');
+            res.write(JSON.stringify(cache.databases, null, 2));
+            res.end();
+            return;
+        }
+
+        var query = urlParse(req.url, true).query;
+        var url = urlParse(req.url).pathname.match(/^\/(.*)\/(.*)\/v(4|6)/);
+        if (!url) {
+            res.end();
+            return;
+        }
+        var v6 = (url[3] == '4') ? false : true;
+        var opts = lookupOptions(cache, query, v6 ? 128 : 32);
+        if (opts.error) {
+            res.end(opts.error);
+            return;
+        }
+
+        // The database part may be an ordered, comma separated list of sources
+        var sources = url[1].split(',');
+        console.log('Looking up ' + url[2] + ' in ' + sources.join(', '));
+        for (var i = 0; i < sources.length; i++) {
+            var dbName = findSource(cache.config.databases, sources[i]);
+            if (!dbName || !cache.databases[dbName]) {
+                res.end('Database not found.');
+                return;
+            }
+            sources[i] = dbName;
+        }
+        var single = sources.length == 1;
+        sources = withLocal(cache.config.databases, sources);
+        var asnPrefixes = single ? cache.prefixesOf(sources, url[2], v6) : undefined;
+
+        if (single && !opts.format && !opts.aggregate && !opts.dedupe && opts.maxLength === null && !opts.rpki &&
+                !opts.provenance && !opts.mntners && !opts.sameMntner && asnPrefixes) {
+            res.end(JSON.stringify(asnPrefixes));
+            return;
+        }
+
+        var list = prefixList(cache, sources, url[2], v6, opts);
+        if (list.error) {
+            res.end(list.error);
+            return;
+        }
+        if (opts.format) {
+            res.setHeader('Content-Type', 'text/plain');
+            res.end(formats.format(opts.format, opts.name, v6 ? 6 : 4, list.prefixes));
+            return;
+        }
+        var response = { prefixes: list.prefixes.map(formats.toString), macros: list.result.macros, prefixCount: list.prefixes.length, sources: list.result.sources };
+        if (opts.rpki) response.rpki = list.rpki;
+        if (opts.provenance) response.sets = list.sets;
+        if (list.routes) response.routes = list.routes;
+        res.end(JSON.stringify(response));
+
+    });
+};
+
+module.exports = {
+    createServer: createServer
+};
@@ -0,0 +1,286 @@
+/*
+Compact in-memory storage of route objects and set members.
+
+The route objects of one address family are kept in a PrefixStore: all prefix
+buffers (5 or 17 bytes, see lib/address.js) back to back in one buffer, sorted
+by origin ASN, with an index of the origins:
+
+  asns     Uint32Array of the origin ASNs, ascending
+  offsets  Uint32Array, one longer: the prefixes of asns[i] are entries
+           offsets[i] to offsets[i + 1] - 1 of data
+  data     Buffer of offsets[asns.length] prefixes
+
+That is a few objects per database instead of one buffer per route object.
+Updates go to a small overlay of added and removed prefixes per origin, which
+is merged into new packed arrays once it grows beyond a quarter of them (or
+at least MIN_OVERLAY entries). The packed arrays are never changed after they
+are built, so the ones returned by packed() can be written out while updates
+continue.
+
+Lookups return arrays of buffers that are views of the packed data, made for
+each call; callers shouldn't hold on to them longer than needed.
+
+Set members, maintainers and source names repeat a lot; intern() shares one
+copy of each string. The pool is shared by all databases and cache instances
+in the process and outlives them. It is bounded: once it holds MAX_INTERNED
+strings it starts over, which only loses the sharing between strings interned
+before and after.
+*/
+
+var MIN_OVERLAY = 4096;
+var MAX_INTERNED = 1000000;
+
+var interned = Object.create(null);
+var internedCount = 0;
+var intern = function(str) {
+    var res = interned[str];
+    if (res !== undefined) return res;
+    if (internedCount >= MAX_INTERNED) {
+        interned = Object.create(null);
+        internedCount = 0;
+    }
+    interned[str] = str;
+    internedCount++;
+    return str;
+};
+
+// width: bytes per prefix, 5 (IPv4) or 17 (IPv6)
+var PrefixStore = function(width) {
+    this.width = width;
+    this.asns = new Uint32Array(0);
+    this.offsets = new Uint32Array(1);
+    this.data = new Buffer(0);
+    this.added = {};
+    this.removed = {};
+    this.overlay = 0;
+    this.count = 0;
+};
+
+// Origins are ASNs as numbers or decimal strings, like the property names of
+// the per-ASN arrays this replaces; anything else is no ASN
+var toAsn = function(asn) {
+    var n = Number(asn);
+    return (String(n) === String(asn) && n >= 0 && n <= 0xFFFFFFFF && n % 1 === 0) ? n : null;
+};
+
+// Position of an origin in the packed arrays, or -1
+PrefixStore.prototype.index = function(asn) {
+    var lo = 0;
+    var hi = this.asns.length - 1;
+    while (lo <= hi) {
+        var mid = (lo + hi) >>> 1;
+        if (this.asns[mid] < asn) {
+            lo = mid + 1;
+        } else if (this.asns[mid] > asn) {
+            hi = mid - 1;
+        } else {
+            return mid;
+        }
+    }
+    return -1;
+};
+
+// Does packed entry j hold prefix?
+PrefixStore.prototype.equalAt = function(j, prefix) {
+    var offs = j * this.width;
+    for (var k = 0; k < this.width; k++) {
+        if (this.data[offs + k] != prefix[k]) return false;
+    }
+    return true;
+};
+
+PrefixStore.prototype.entry = function(j) {
+    return this.data.slice(j * this.width, (j + 1) * this.width);
+};
+
+// Prefixes of an origin in the order they were added, or undefined if it has
+// none (also once all of them were removed)
+PrefixStore.prototype.get = function(asn) {
+    asn = toAsn(asn);
+    if (asn === null) return undefined;
+    var i = this.index(asn);
+    var added = this.added[asn];
+    if (i < 0 && !added) return undefined;
+    var res = [];
+    if (i >= 0) {
+        var removed = this.removed[asn];
+        for (var j = this.offsets[i]; j < this.offsets[i + 1]; j++) {
+            var prefix = this.entry(j);
+            if (!removed || !removed[prefix.toString('hex')]) res.push(prefix);
+        }
+    }
+    if (added) res = res.concat(added);
+    return (res.length > 0) ? res : undefined;
+};
+
+// Number of prefixes of an origin, without making views of them
+PrefixStore.prototype.size = function(asn) {
+    asn = toAsn(asn);
+    if (asn === null) return 0;
+    var i = this.index(asn);
+    var n = this.added[asn] ? this.added[asn].length : 0;
+    if (i >= 0) n += this.offsets[i + 1] - this.offsets[i] - (this.removed[asn] ? Object.keys(this.removed[asn]).length : 0);
+    return n;
+};
+
+PrefixStore.prototype.add = function(asn, prefix) {
+    asn = toAsn(asn);
+    if (!this.added[asn]) this.added[asn] = [];
+    this.added[asn].push(prefix);
+    this.count++;
+    this.overlay++;
+    this.compactIfDue();
+};
+
+// Remove one route object; false if there is none for the prefix and origin
+PrefixStore.prototype.remove = function(asn, prefix) {
+    asn = toAsn(asn);
+    var hex = prefix.toString('hex');
+    var j;
+    var added = this.added[asn];
+    if (added) {
+        for (j = 0; j < added.length; j++) {
+            if (added[j].toString('hex') != hex) continue;
+            added.splice(j, 1);
+            if (added.length === 0) delete this.added[asn];
+            this.count--;
+            this.overlay--;
+            return true;
+        }
+    }
+    var i = this.index(asn);
+    if (i < 0) return false;
+    var removed = this.removed[asn];
+    if (removed && removed[hex]) return false;
+    for (j = this.offsets[i]; j < this.offsets[i + 1]; j++) {
+        if (!this.equalAt(j, prefix)) continue;
+        if (!removed) removed = this.removed[asn] = {};
+        removed[hex] = true;
+        this.count--;
+        this.overlay++;
+        this.compactIfDue();
+        return true;
+    }
+    return false;
+};
+
+// Call fn(prefix, asn) for every route object
+PrefixStore.prototype.forEach = function(fn) {
+    var i, j, asn;
+    for (i = 0; i < this.asns.length; i++) {
+        asn = this.asns[i];
+        var removed = this.removed[asn];
+        for (j = this.offsets[i]; j < this.offsets[i + 1]; j++) {
+            var prefix = this.entry(j);
+            if (!removed || !removed[prefix.toString('hex')]) fn(prefix, asn);
+        }
+    }
+    for (asn in this.added) {
+        for (j = 0; j < this.added[asn].length; j++) {
+            fn(this.added[asn][j], parseInt(asn, 10));
+        }
+    }
+};
+
+PrefixStore.prototype.compactIfDue = function() {
+    if (this.overlay > Math.max(MIN_OVERLAY, this.count / 4)) this.compact();
+};
+
+// Merge the overlay into new packed arrays; with unique, also drop all but
+// the first of equal prefixes of an origin. Returns the number dropped.
+PrefixStore.prototype.compact = function(unique) {
+    var self = this;
+    var width = this.width;
+    var total = this.offsets[this.asns.length];
+    var origins = Array.prototype.slice.call(this.asns);
+    for (var key in this.added) {
+        if (this.index(parseInt(key, 10)) < 0) origins.push(parseInt(key, 10));
+        total += this.added[key].length;
+    }
+    origins.sort(function(a, b) {
+        return a - b;
+    });
+    var asns = [];
+    var offsets = [0];
+    // Sized for everything; less is left if removals hid several copies
+    var data = new Buffer(total * width);
+    var n = 0;
+    var dropped = 0;
+    origins.forEach(function(asn) {
+        var i = self.index(asn);
+        var removed = self.removed[asn];
+        var added = self.added[asn] || [];
+        var seen = {};
+        var j;
+        // Is prefix a copy of one already kept?
+        var repeated = function(prefix) {
+            if (!unique) return false;
+            var hex = prefix.toString('hex');
+            if (!seen[hex]) {
+                seen[hex] = true;
+                return false;
+            }
+            dropped++;
+            return true;
+        };
+        if (i >= 0) {
+            for (j = self.offsets[i]; j < self.offsets[i + 1]; j++) {
+                if (removed && removed[self.entry(j).toString('hex')]) continue;
+                if (repeated(self.entry(j))) continue;
+                self.data.copy(data, n * width, j * width, (j + 1) * width);
+                n++;
+            }
+        }
+        for (j = 0; j < added.length; j++) {
+            if (repeated(added[j])) continue;
+            added[j].copy(data, n * width, 0, width);
+            n++;
+        }
+        if (n == offsets[offsets.length - 1]) return;
+        asns.push(asn);
+        offsets.push(n);
+    });
+    this.asns = new Uint32Array(asns);
+    this.offsets = new Uint32Array(offsets);
+    this.data = (n < total) ? data.slice(0, n * width) : data;
+    this.added = {};
+    this.removed = {};
+    this.overlay = 0;
+    this.count = n;
+    return dropped;
+};
+
+// The packed arrays, with all updates merged: { asns, offsets, data }
+PrefixStore.prototype.packed = function() {
+    if (this.overlay > 0 || Object.keys(this.added).length > 0) this.compact();
+    return { asns: this.asns, offsets: this.offsets, data: this.data };
+};
+
+// Replace the contents with packed arrays (e.g. read from a cache file).
+// Files written from older versions may list a prefix of an origin more than
+// once; only one of them is kept. Returns the number dropped.
+PrefixStore.prototype.load = function(asns, offsets, data) {
+    this.asns = asns;
+    this.offsets = offsets;
+    this.data = data;
+    this.added = {};
+    this.removed = {};
+    this.overlay = 0;
+    this.count = offsets[asns.length];
+    return this.compact(true);
+};
+
+// The per-ASN arrays of the old layout, for the JSON dump
+PrefixStore.prototype.toJSON = function() {
+    var res = {};
+    this.forEach(function(prefix, asn) {
+        if (!res[asn]) res[asn] = [];
+        res[asn].push(prefix);
+    });
+    return res;
+};
+
+module.exports = {
+    PrefixStore: PrefixStore,
+    intern: intern
+};
@@ -0,0 +1,155 @@
+/*
+Path-compressed binary (Patricia) trie of route objects, used for reverse
+lookups: which route objects match, cover or are covered by an address or prefix.
+
+Keys are the 5 (IPv4) or 17 (IPv6) byte prefix buffers used by the store;
+each node holds the origin ASNs of the route objects for its prefix.
+*/
+
+var bitAt = function(key, n) {
+    return (key[n >> 3] >> (7 - (n & 7))) & 1;
+};
+
+// Number of leading bits a and b have in common, at most max
+var commonBits = function(a, b, max) {
+    var n = 0;
+    while (n < max) {
+        if (n % 8 === 0 && max - n >= 8 && a[n >> 3] == b[n >> 3]) {
+            n += 8;
+            continue;
+        }
+        if (bitAt(a, n) != bitAt(b, n)) break;
+        n++;
+    }
+    return n;
+};
+
+var masks = [0, 128, 192, 224, 240, 248, 252, 254, 255];
+
+var makeKey = function(key, len) {
+    var res = new Buffer(key.length);
+    key.copy(res);
+    for (var i = 0; i < key.length - 1; i++) {
+        if (len >= (i + 1) * 8) continue;
+        res[i] = (len > i * 8) ? res[i] & masks[len - i * 8] : 0;
+    }
+    res[key.length - 1] = len;
+    return res;
+};
+
+var Node = function(key, len) {
+    this.key = key;
+    this.len = len;
+    this.children = [null, null];
+    this.origins = null;
+};
+
+var Trie = function(size) {
+    this.size = size; // 5 or 17 bytes
+    this.root = new Node(new Buffer(size).fill(0), 0);
+    this.count = 0;
+};
+
+// Node for exactly key/len, created if create is set
+Trie.prototype.find = function(key, create) {
+    var len = key[this.size - 1];
+    var node = this.root;
+    while (true) {
+        if (node.len == len) return node;
+        var bit = bitAt(key, node.len);
+        var child = node.children[bit];
+        if (!child) {
+            if (!create) return null;
+            child = new Node(makeKey(key, len), len);
+            node.children[bit] = child;
+            return child;
+        }
+        var common = commonBits(child.key, key, Math.min(child.len, len));
+        if (common == child.len) {
+            node = child;
+            continue;
+        }
+        if (!create) return null;
+        // Insert a node where key and child diverge (or key itself, if it covers child)
+        var split = new Node(makeKey(key, common), common);
+        split.children[bitAt(child.key, common)] = child;
+        node.children[bit] = split;
+        if (common == len) return split;
+        var leaf = new Node(makeKey(key, len), len);
+        split.children[bitAt(key, common)] = leaf;
+        return leaf;
+    }
+};
+
+Trie.prototype.add = function(prefix, origin) {
+    var node = this.find(prefix, true);
+    if (!node.origins) node.origins = [];
+    node.origins.push(origin);
+    this.count++;
+};
+
+// Remove one route object; returns false if it wasn't there
+Trie.prototype.remove = function(prefix, origin) {
+    var len = prefix[this.size - 1];
+    var path = [];
+    var node = this.root;
+    while (node && node.len < len) {
+        path.push(node);
+        node = node.children[bitAt(prefix, node.len)];
+        if (node && commonBits(node.key, prefix, Math.min(node.len, len)) < Math.min(node.len, len)) node = null;
+    }
+    if (!node || node.len != len || !node.origins) return false;
+    var idx = node.origins.indexOf(origin);
+    if (idx < 0) return false;
+    node.origins.splice(idx, 1);
+    this.count--;
+    if (node.origins.length > 0) return true;
+    node.origins = null;
+    // Drop nodes that no longer carry route objects and don't join two subtrees
+    while (path.length > 0 && !node.origins && (!node.children[0] || !node.children[1])) {
+        var parent = path.pop();
+        var only = node.children[0] || node.children[1];
+        parent.children[parent.children[0] === node ? 0 : 1] = only;
+        if (parent === this.root) break;
+        node = parent;
+    }
+    return true;
+};
+
+var collect = function(node, out, limit) {
+    if (!node || out.length >= limit) return;
+    if (node.origins) out.push(node);
+    collect(node.children[0], out, limit);
+    collect(node.children[1], out, limit);
+};
+
+// Route objects related to prefix: the exact match, the less specifics
+// covering it (shortest first) and the more specifics it covers (at most
+// limit nodes, all if no limit is given). Results are lists of nodes, see Node.
+Trie.prototype.lookup = function(prefix, limit) {
+    var len = prefix[this.size - 1];
+    var res = { exact: null, less: [], more: [] };
+    var cap = (limit === undefined || limit === null) ? Infinity : limit;
+    var node = this.root;
+    while (node) {
+        var max = Math.min(node.len, len);
+        if (commonBits(node.key, prefix, max) < max) break;
+        if (node.len > len) {
+            collect(node, res.more, cap);
+            break;
+        }
+        if (node.len == len) {
+            if (node.origins) res.exact = node;
+            collect(node.children[0], res.more, cap);
+            collect(node.children[1], res.more, cap);
+            break;
+        }
+        if (node.origins) res.less.push(node);
+        node = node.children[bitAt(prefix, node.len)];
+    }
+    return res;
+};
+
+module.exports = {
+    Trie: Trie
+};
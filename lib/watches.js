@@ -0,0 +1,186 @@
+/*
+Watched sets and ASNs, and delivery of changes to their expansion.
+
+A watch is a name (as-set, route-set or ASN) expanded in an ordered list of
+sources, identified as '<source>,<source>/<NAME>'. Its last known expansion
+is kept with it, so after an update only the difference has to be sent:
+
+  { id, sources: [dbName], name, prefixes: [RPSL prefix], asns: [n], sets: [set names] }
+
+Watches are stored in a JSON file and survive restarts. Changes are posted to
+the configured webhook (retried, and signed with HMAC-SHA256 over the body if a
+secret is set: X-Signature-256: sha256=<hex>) and sent to every client of the
+Server-Sent Events stream.
+*/
+
+var
+    fs = require('fs'),
+    crypto = require('crypto'),
+    fetch = require('./fetch');
+
+var HEARTBEAT = 30000;
+
+// options: webhook (URL or null), secret (or null), retries, backoff (ms), timeout (ms)
+var Watches = function(file, options) {
+    this.file = file;
+    this.options = options;
+    this.watches = {};
+    this.clients = [];
+    this.eventId = 0;
+    this.heartbeat = null;
+    this.saving = null;
+};
+
+// Read the stored watches; a missing file means there are none yet
+Watches.prototype.load = function() {
+    var list;
+    try {
+        list = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+        if (e.code != 'ENOENT') console.log('Could not read watches from ' + this.file + ': ' + e.message);
+        return;
+    }
+    for (var i = 0; i < list.length; i++) {
+        this.watches[list[i].id] = list[i];
+    }
+};
+
+// Write the watches to disk; a save requested while one is running is done after it
+Watches.prototype.save = function() {
+    var self = this;
+    if (this.saving) {
+        this.saving.pending = true;
+        return;
+    }
+    this.saving = { pending: false };
+    var file = this.file;
+    var done = function(err) {
+        if (err) console.log('Could not save watches to ' + file + ': ' + err.message);
+        var pending = self.saving.pending;
+        self.saving = null;
+        if (pending) self.save();
+    };
+    fs.writeFile(file + '.tmp', JSON.stringify(this.list(true)), function(err) {
+        if (err) return done(err);
+        fs.rename(file + '.tmp', file, done);
+    });
+};
+
+Watches.prototype.id = function(sources, name) {
+    return sources.join(',') + '/' + String(name).toUpperCase();
+};
+
+// Add a watch with its current expansion ({ prefixes, asns, sets }); an
+// existing watch for the same sources and name is returned as it is.
+Watches.prototype.add = function(sources, name, expansion) {
+    var id = this.id(sources, name);
+    if (!this.watches[id]) {
+        this.watches[id] = { id: id, sources: sources, name: String(name).toUpperCase(), prefixes: expansion.prefixes, asns: expansion.asns, sets: expansion.sets };
+        this.save();
+    }
+    return this.watches[id];
+};
+
+Watches.prototype.remove = function(id) {
+    if (!this.watches[id]) return false;
+    delete this.watches[id];
+    this.save();
+    return true;
+};
+
+Watches.prototype.get = function(id) {
+    return this.watches[id] || null;
+};
+
+// All watches; without full only their ids, sources, names and counts
+Watches.prototype.list = function(full) {
+    var self = this;
+    return Object.keys(this.watches).sort().map(function(id) {
+        var watch = self.watches[id];
+        if (full) return watch;
+        return { id: id, sources: watch.sources, name: watch.name, prefixCount: watch.prefixes.length, asnCount: watch.asns.length };
+    });
+};
+
+// Watches that include a database
+Watches.prototype.forSource = function(dbName) {
+    var self = this;
+    return Object.keys(this.watches).filter(function(id) {
+        return self.watches[id].sources.indexOf(dbName) >= 0;
+    }).map(function(id) {
+        return self.watches[id];
+    });
+};
+
+// Entries of list a that are not in list b
+var missingFrom = function(a, b) {
+    var inB = {};
+    b.forEach(function(item) {
+        inB[item] = true;
+    });
+    return a.filter(function(item) {
+        return !inB[item];
+    });
+};
+
+// Store the new expansion of a watch and publish what changed, if anything.
+// serials: dbName -> serial the expansion is based on
+Watches.prototype.update = function(watch, expansion, serials) {
+    var added = { prefixes: missingFrom(expansion.prefixes, watch.prefixes), asns: missingFrom(expansion.asns, watch.asns) };
+    var removed = { prefixes: missingFrom(watch.prefixes, expansion.prefixes), asns: missingFrom(watch.asns, expansion.asns) };
+    watch.sets = expansion.sets;
+    if (added.prefixes.length + added.asns.length + removed.prefixes.length + removed.asns.length === 0) return false;
+    watch.prefixes = expansion.prefixes;
+    watch.asns = expansion.asns;
+    this.save();
+    this.publish({ id: watch.id, sources: watch.sources, name: watch.name, serials: serials, time: new Date().toISOString(), added: added, removed: removed });
+    return true;
+};
+
+Watches.prototype.publish = function(change) {
+    var body = JSON.stringify(change);
+    var eventId = ++this.eventId;
+    this.clients.forEach(function(client) {
+        if (client.ids && client.ids.indexOf(change.id) < 0) return;
+        client.res.write('id: ' + eventId + '\nevent: change\ndata: ' + body + '\n\n');
+    });
+    if (!this.options.webhook) return;
+    var headers = { 'Content-Type': 'application/json' };
+    if (this.options.secret) {
+        headers['X-Signature-256'] = 'sha256=' + crypto.createHmac('sha256', this.options.secret).update(body).digest('hex');
+    }
+    var url = this.options.webhook;
+    fetch.post(url, body, headers, this.options, function(err) {
+        if (err) console.log('Delivery of change to ' + change.id + ' to ' + url + ' failed: ' + err.message);
+    });
+};
+
+// Keep an HTTP response open as a Server-Sent Events stream, optionally only
+// for some watch ids
+Watches.prototype.subscribe = function(res, ids) {
+    var self = this;
+    var client = { res: res, ids: ids };
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+    res.write(': watching ' + (ids ? ids.join(' ') : 'everything') + '\n\n');
+    this.clients.push(client);
+    if (!this.heartbeat) {
+        // Comments keep proxies from closing idle streams
+        this.heartbeat = setInterval(function() {
+            self.clients.forEach(function(client) {
+                client.res.write(': heartbeat\n\n');
+            });
+        }, HEARTBEAT);
+    }
+    res.on('close', function() {
+        self.clients.splice(self.clients.indexOf(client), 1);
+        if (self.clients.length === 0) {
+            clearInterval(self.heartbeat);
+            self.heartbeat = null;
+        }
+    });
+};
+
+module.exports = {
+    Watches: Watches,
+    missingFrom: missingFrom
+};
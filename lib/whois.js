@@ -0,0 +1,270 @@
+/*
+IRRd compatible whois server, so tools like bgpq4 (-h <host>) can query the cache directly.
+
+Queries, one per line:
+  !!             keep the connection open for more queries (otherwise it is closed after one)
+  !n<name>       client name, ignored
+  !s<src>,...    select sources, in order of preference; !s-lc lists the selected ones
+  !i<set>        direct members of a set; !i<set>,1 resolves nested sets to their member ASNs
+                 (as-sets) or prefixes (route-sets, with range operators where they apply)
+  !g<asn>        IPv4 prefixes of route objects with that origin
+  !6<asn>        IPv6 prefixes of route6 objects with that origin
+  !a<set>        prefixes of the route objects of all members of a set; !a4<set> and !a6<set>
+                 limit it to one address family
+  !j<src>,...    serial of each source; !j-* for all of them
+  !q             close the connection
+
+The local override database, if there is one, is always among the selected
+sources, and results leave out what the filter (lib/filters.js) excludes.
+
+Responses:
+  A<length>\n<data>\nC\n   result (length counts the data and its final newline)
+  C\n                      success, nothing to return
+  D\n                      key not found
+  F <message>\n            error
+*/
+
+var
+    net = require('net'),
+    address = require('./address'),
+    formats = require('./formats'),
+    expand = require('./expand').expand,
+    findSource = require('./expand').findSource,
+    withLocal = require('./expand').withLocal,
+    parseAsn = require('./expand').parseAsn;
+
+var IDLE_TIMEOUT = 300000;
+// Longest query line; a client sending more without a newline is cut off
+var MAX_LINE = 65536;
+
+var data = function(text) {
+    return 'A' + (Buffer.byteLength(text) + 1) + '\n' + text + '\nC\n';
+};
+
+var list = function(items) {
+    return items.length > 0 ? data(items.join(' ')) : 'C\n';
+};
+
+// Prefixes of routes ({ prefix: Buffer, ge, le } as returned by expand) as
+// strings in RPSL notation, duplicates (from several sources) removed
+var prefixStrings = function(routes) {
+    var seen = {};
+    var res = [];
+    for (var i = 0; i < routes.length; i++) {
+        var prefix = routes[i].prefix;
+        var str = formats.toString({
+            prefix: (prefix.length > 5) ? address.v62str(prefix) : address.v42str(prefix),
+            ge: routes[i].ge,
+            le: routes[i].le
+        });
+        if (seen[str]) continue;
+        seen[str] = true;
+        res.push(str);
+    }
+    return res;
+};
+
+// State of one client connection
+var Session = function(databases, dbConfig, expansions, filter) {
+    this.databases = databases;
+    this.dbConfig = dbConfig;
+    this.expansions = expansions;
+    this.filter = filter;
+    this.persistent = false;
+    this.sources = Object.keys(dbConfig);
+};
+
+// Members of an as-set or route-set from the first selected source that has
+// it, or from the one it is qualified with ('RIPE::AS-FOO'): { members, routeSet }
+Session.prototype.findSet = function(name) {
+    var sources = this.sources;
+    var m = name.match(/^([A-Z0-9_-]+)::(.+)$/);
+    if (m) {
+        var dbName = findSource(this.dbConfig, m[1]);
+        if (!dbName) return null;
+        sources = [dbName];
+        name = m[2];
+    }
+    for (var i = 0; i < sources.length; i++) {
+        var db = this.databases[sources[i]];
+        if (db && db.macros[name]) return { members: db.macros[name], routeSet: false };
+        if (db && db.routeSets[name]) return { members: db.routeSets[name], routeSet: true };
+    }
+    return null;
+};
+
+// Expansion in the selected sources, from the cache if there is one
+Session.prototype.expand = function(name, family) {
+    if (this.expansions) return this.expansions.expand(this.sources, name, family);
+    return expand(this.databases, this.dbConfig, this.sources, name, family, this.filter);
+};
+
+Session.prototype.originPrefixes = function(arg, family) {
+    var asn = parseAsn(arg);
+    if (asn === null) return 'F Invalid origin ' + arg + '\n';
+    var filter = this.filter;
+    var prefixes = [];
+    for (var i = 0; i < this.sources.length; i++) {
+        var db = this.databases[this.sources[i]];
+        var found = db && db[(family == 6) ? 'asnv6' : 'asnv4'].get(asn);
+        if (found) prefixes = prefixes.concat(found);
+    }
+    if (filter) {
+        prefixes = prefixes.filter(function(prefix) {
+            return !filter.checkRoute(prefix, asn);
+        });
+    }
+    return list(prefixStrings(prefixes.map(function(prefix) {
+        return { prefix: prefix };
+    })));
+};
+
+Session.prototype.setMembers = function(arg) {
+    var m = arg.toUpperCase().match(/^([^,]+)(,1)?$/);
+    if (!m) return 'F Invalid set name\n';
+    var filter = this.filter;
+    // Excluded sets are empty, like the expansions that leave them out
+    if (filter && filter.checkSet(m[1])) return 'C\n';
+    var set = this.findSet(m[1]);
+    if (!m[2] && !set) return 'D\n';
+    if (!m[2]) {
+        return list(!filter ? set.members : set.members.filter(function(member) {
+            return !filter.checkMember(member);
+        }));
+    }
+    if (set && set.routeSet) return this.setPrefixes(m[1]);
+    var result = this.expand(m[1], 4);
+    if (result.missing.indexOf(m[1]) >= 0) return 'D\n';
+    return list(result.asns.map(function(asn) {
+        return 'AS' + asn;
+    }));
+};
+
+Session.prototype.setPrefixes = function(arg) {
+    var families = [4, 6];
+    if (arg[0] == '4' || arg[0] == '6') {
+        families = [parseInt(arg[0], 10)];
+        arg = arg.substring(1);
+    }
+    var name = arg.toUpperCase();
+    var prefixes = [];
+    for (var i = 0; i < families.length; i++) {
+        var result = this.expand(name, families[i]);
+        if (result.missing.indexOf(name) >= 0) return 'D\n';
+        prefixes = prefixes.concat(result.routes);
+    }
+    return list(prefixStrings(prefixes));
+};
+
+Session.prototype.selectSources = function(arg) {
+    var self = this;
+    if (arg.toLowerCase() == '-lc') {
+        return data(this.sources.map(function(dbName) {
+            return (self.dbConfig[dbName].intName || dbName).toUpperCase();
+        }).join(','));
+    }
+    var sources = [];
+    var names = arg.split(',');
+    for (var i = 0; i < names.length; i++) {
+        var dbName = findSource(this.dbConfig, names[i].trim());
+        if (!dbName) return 'F Unknown source ' + names[i].trim() + '\n';
+        if (sources.indexOf(dbName) < 0) sources.push(dbName);
+    }
+    this.sources = withLocal(this.dbConfig, sources);
+    return 'C\n';
+};
+
+// One line per source: SOURCE:<mirrored Y/N>:<oldest serial>-<newest serial>
+Session.prototype.serials = function(arg) {
+    var sources = Object.keys(this.dbConfig);
+    if (arg != '-*') {
+        sources = [];
+        var names = arg.split(',');
+        for (var i = 0; i < names.length; i++) {
+            var dbName = findSource(this.dbConfig, names[i].trim());
+            if (!dbName) return 'F Unknown source ' + names[i].trim() + '\n';
+            sources.push(dbName);
+        }
+    }
+    var self = this;
+    return data(sources.map(function(dbName) {
+        var curDB = self.dbConfig[dbName];
+        var db = self.databases[dbName];
+        var mirrored = (curDB.realtimeHost && curDB.realtimePort) || curDB.realtimeType == 'nrtmv4';
+        var name = (curDB.intName || dbName).toUpperCase();
+        return name + ':' + (mirrored ? 'Y' : 'N') + ':' + (db ? db.serial + '-' + db.serial : '-');
+    }).join('\n'));
+};
+
+// Answer one query line; null means there is nothing to send
+Session.prototype.query = function(line) {
+    if (line == '!!') {
+        this.persistent = true;
+        return null;
+    }
+    if (line[0] != '!' || line.length < 2) return 'F Only !-queries are supported\n';
+    var arg = line.substring(2).trim();
+    switch (line[1]) {
+        case 'n':
+            return 'C\n';
+        case 's':
+            return this.selectSources(arg);
+        case 'i':
+            return this.setMembers(arg);
+        case 'g':
+            return this.originPrefixes(arg, 4);
+        case '6':
+            return this.originPrefixes(arg, 6);
+        case 'a':
+            return this.setPrefixes(arg);
+        case 'j':
+            return this.serials(arg);
+    }
+    return 'F Unrecognized command ' + line.substring(0, 2) + '\n';
+};
+
+// expansions: an ExpansionCache (lib/expansions.js) for the same databases, or
+// null; filter: a Filter (lib/filters.js), or null
+var createServer = function(databases, dbConfig, expansions, filter) {
+    return net.createServer(function(conn) {
+        var session = new Session(databases, dbConfig, expansions || null, filter || null);
+        var buf = '';
+        var closed = false;
+        var close = function() {
+            closed = true;
+            conn.end();
+        };
+        conn.setEncoding('utf8');
+        conn.setTimeout(IDLE_TIMEOUT, close);
+        conn.on('data', function(chunk) {
+            if (closed) return;
+            buf += chunk;
+            while (!closed) {
+                var m = buf.match(/^([^\n]*)\n/);
+                if (!m) break;
+                buf = buf.substring(m[0].length);
+                var line = m[1].trim();
+                if (line === '') continue;
+                if (line == '!q') {
+                    close();
+                    return;
+                }
+                var response = session.query(line);
+                if (response !== null) conn.write(response);
+                if (!session.persistent) close();
+            }
+            if (!closed && buf.length > MAX_LINE) {
+                conn.write('F Query too long\n');
+                close();
+            }
+        });
+        conn.on('error', function(err) {
+            console.log('Whois connection error: ' + err.message);
+        });
+    });
+};
+
+module.exports = {
+    Session: Session,
+    createServer: createServer
+};
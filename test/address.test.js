@@ -0,0 +1,123 @@
+/*
+Tests of lib/address.js: strict parsing, host bits, and canonical output.
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    address = require('../lib/address');
+
+var hex = function(str, hostRoute) {
+    var buf = address.parse(str, hostRoute);
+    return buf && buf.toString('hex');
+};
+
+// parse() and back to text, without touching host bits
+var roundTrip = function(str) {
+    return address.ip2str(address.parse(str));
+};
+
+test('parse: IPv4 prefixes are 4 address bytes and the length', function() {
+    assert.strictEqual(hex('192.0.2.0/24'), 'c000020018');
+    assert.strictEqual(hex('0.0.0.0/0'), '0000000000');
+    assert.strictEqual(hex(' 255.255.255.255/32 '), 'ffffffff20');
+});
+
+test('parse: IPv6 prefixes are 16 address bytes and the length', function() {
+    assert.strictEqual(hex('2001:db8::/32'), '20010db800000000000000000000000020');
+    assert.strictEqual(hex('2001:DB8:0:0:0:0:0:1/128'), '20010db800000000000000000000000180');
+    assert.strictEqual(hex('::/0'), '0000000000000000000000000000000000');
+    assert.strictEqual(hex('fe80::/10'), 'fe8000000000000000000000000000000a');
+});
+
+test('parse: IPv6 addresses may end in a dotted quad', function() {
+    assert.strictEqual(hex('::ffff:192.0.2.1/128'), '00000000000000000000ffffc000020180');
+    assert.strictEqual(hex('64:ff9b::198.51.100.7/128'), '0064ff9b0000000000000000c633640780');
+});
+
+test('parse: a plain address is a host route only if asked for', function() {
+    assert.strictEqual(hex('1.2.3.4'), null);
+    assert.strictEqual(hex('1.2.3.4', true), '0102030420');
+    assert.strictEqual(hex('::', true), '0000000000000000000000000000000080');
+});
+
+test('parse: invalid input gives null, not a buffer with made up bytes', function() {
+    [
+        '', 'foo', '10.0.0.0/', '10.0.0.0/33', '::/129', '1.2.3/24', '1.2.3.4.5/32', '256.0.0.0/8',
+        '01.2.3.4/8', '1.2.3.-4/32', '1:2:3:4:5:6:7:8:9/128', '1:2:3:4:5:6:7/128', '1:2:3:4:5:6:7:8::/128',
+        '::1::/64', '12345::/16', 'g::/16', '::ffff:300.0.0.1/128', '1.2.3.4::/64', '2001:db8::/32/32',
+        null, undefined
+    ].forEach(function(str) {
+        assert.strictEqual(address.parse(str, true), null, JSON.stringify(str));
+        assert.strictEqual(address.str2ip(str), null, JSON.stringify(str));
+    });
+});
+
+test('parse: host bits are left alone', function() {
+    assert.strictEqual(hex('10.0.0.1/8'), '0a00000108');
+});
+
+test('normalise: clears the host bits, up to the last address byte', function() {
+    var cases = [
+        ['10.0.0.1/8', '10.0.0.0/8', true],
+        ['10.0.0.255/31', '10.0.0.254/31', true],
+        ['10.0.0.129/25', '10.0.0.128/25', true],
+        ['10.0.0.255/32', '10.0.0.255/32', false],
+        ['255.255.255.255/0', '0.0.0.0/0', true],
+        ['192.0.2.0/24', '192.0.2.0/24', false],
+        ['2001:db8::ff/127', '2001:db8::fe/127', true],
+        ['2001:db8::ffff/120', '2001:db8::ff00/120', true],
+        ['2001:db8:ffff::/33', '2001:db8:8000::/33', true],
+        ['2001:db8::1/128', '2001:db8::1/128', false]
+    ];
+    cases.forEach(function(c) {
+        var buf = address.parse(c[0]);
+        assert.strictEqual(address.normalise(buf), c[2], c[0]);
+        assert.strictEqual(address.ip2str(buf), c[1], c[0]);
+        // The length byte is not touched
+        assert.strictEqual(buf[buf.length - 1], parseInt(c[0].split('/')[1], 10), c[0]);
+    });
+});
+
+test('str2ip: parses and clears host bits', function() {
+    assert.strictEqual(address.str2ip('10.1.2.3/16').toString('hex'), '0a01000010');
+    assert.strictEqual(address.str2ip('10.1.2.3/16', true).length, 5);
+});
+
+test('v42str: dotted quad and length', function() {
+    assert.strictEqual(address.v42str(new Buffer([192, 0, 2, 0, 24])), '192.0.2.0/24');
+    assert.strictEqual(address.v42str(new Buffer([0, 0, 0, 0, 0])), '0.0.0.0/0');
+});
+
+test('v62str: RFC 5952 lower case without leading zeros', function() {
+    assert.strictEqual(roundTrip('2001:0DB8:00AB:0000:0000:0000:0000:0001/128'), '2001:db8:ab::1/128');
+    assert.strictEqual(roundTrip('2001:db8:0:1:1:1:1:1/128'), '2001:db8:0:1:1:1:1:1/128');
+});
+
+test('v62str: the longest run of zero groups becomes ::, the first if tied', function() {
+    assert.strictEqual(roundTrip('2001:0:0:1:0:0:0:1/128'), '2001:0:0:1::1/128');
+    assert.strictEqual(roundTrip('2001:db8:0:0:1:0:0:1/128'), '2001:db8::1:0:0:1/128');
+    assert.strictEqual(roundTrip('2001:db8::1:0:0:0:1/128'), '2001:db8:0:1::1/128');
+    assert.strictEqual(roundTrip('0:0:0:0:0:0:0:0/0'), '::/0');
+    assert.strictEqual(roundTrip('0:0:0:0:0:0:0:1/128'), '::1/128');
+    assert.strictEqual(roundTrip('1:0:0:0:0:0:0:0/16'), '1::/16');
+});
+
+test('v62str: a single zero group is not shortened', function() {
+    assert.strictEqual(roundTrip('2001:db8:0:1:1:1:1:1/128'), '2001:db8:0:1:1:1:1:1/128');
+    assert.strictEqual(roundTrip('2001:db8::1:1:1:1:1/128'), '2001:db8:0:1:1:1:1:1/128');
+});
+
+test('v62str: IPv4-mapped addresses end in a dotted quad', function() {
+    assert.strictEqual(roundTrip('::ffff:192.0.2.0/120'), '::ffff:192.0.2.0/120');
+    assert.strictEqual(roundTrip('::ffff:c000:201/128'), '::ffff:192.0.2.1/128');
+    assert.strictEqual(roundTrip('0:0:0:0:0:ffff:0:0/96'), '::ffff:0.0.0.0/96');
+    // Only ::ffff:0:0/96 is written that way
+    assert.strictEqual(roundTrip('64:ff9b::198.51.100.7/128'), '64:ff9b::c633:6407/128');
+    assert.strictEqual(roundTrip('::192.0.2.1/128'), '::c000:201/128');
+});
+
+test('ip2str: picks the family by buffer length', function() {
+    assert.strictEqual(address.ip2str(address.parse('192.0.2.0/24')), '192.0.2.0/24');
+    assert.strictEqual(address.ip2str(address.parse('2001:db8::/32')), '2001:db8::/32');
+});
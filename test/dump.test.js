@@ -0,0 +1,86 @@
+/*
+Tests of loading databases from dumps (TinyIRRDBCache.getDump).
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    TinyIRRDBCache = require('../lib/cache').TinyIRRDBCache,
+    newDatabase = require('../lib/cache').newDatabase;
+
+// A cache with database ripe loaded from file:// URLs in a temp dir, without
+// retries of single downloads. Exports are only counted.
+var dumpCache = function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyirrdbcache-test-'));
+    var cache = new TinyIRRDBCache({
+        cacheDir: dir,
+        intervals: { retry: 0.05 },
+        downloads: { retries: 0, backoff: 1 },
+        databases: {
+            ripe: { serial: 'file://' + path.join(dir, 'RIPE.CURRENTSERIAL'), dump: 'file://' + path.join(dir, 'ripe.db'), intName: 'RIPE' }
+        }
+    });
+    cache.dir = dir;
+    cache.exports = 0;
+    cache.exportDB = function() {
+        cache.exports++;
+    };
+    cache.cleanup = function() {
+        cache.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    return cache;
+};
+
+var publishDump = function(cache, serial) {
+    fs.writeFileSync(path.join(cache.dir, 'ripe.db'), 'route: 10.0.0.0/24\norigin: AS1\nsource: RIPE\n\n');
+    fs.writeFileSync(path.join(cache.dir, 'RIPE.CURRENTSERIAL'), serial + '\n');
+};
+
+// Call fn once cond() holds, checking every 10ms
+var waitFor = function(cond, fn) {
+    var wait = function() {
+        if (!cond()) return setTimeout(wait, 10);
+        fn();
+    };
+    setTimeout(wait, 10);
+};
+
+test('getDump: a database without data is tried again until a dump loads', function(t, done) {
+    var cache = dumpCache();
+    cache.getDump('ripe');
+    waitFor(function() {
+        return cache.retries.ripe;
+    }, function() {
+        assert.strictEqual(cache.databases.ripe, undefined);
+        publishDump(cache, 7);
+        waitFor(function() {
+            return cache.databases.ripe;
+        }, function() {
+            assert.strictEqual(cache.databases.ripe.serial, 7);
+            assert.strictEqual(cache.databases.ripe.pc, 1);
+            assert.strictEqual(cache.retries.ripe, undefined);
+            assert.strictEqual(cache.exports, 1);
+            cache.cleanup();
+            done();
+        });
+    });
+});
+
+test('getDump: a failed dump of a database with data is not retried', function(t, done) {
+    var cache = dumpCache();
+    cache.databases.ripe = newDatabase(5);
+    cache.resetTries('ripe');
+    cache.getDump('ripe');
+    waitFor(function() {
+        return !cache.loading.ripe;
+    }, function() {
+        assert.strictEqual(cache.retries.ripe, undefined);
+        assert.strictEqual(cache.databases.ripe.serial, 5);
+        cache.cleanup();
+        done();
+    });
+});
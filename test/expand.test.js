@@ -0,0 +1,55 @@
+/*
+Tests of set expansion (lib/expand.js).
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    expand = require('../lib/expand').expand,
+    newDatabase = require('../lib/cache').newDatabase,
+    ip2str = require('../lib/address').ip2str;
+
+var DB_CONFIG = { ripe: { intName: 'RIPE' } };
+
+// Expansion of name (family 4) in a database with the given route-sets
+var expandSets = function(routeSets, name) {
+    var db = newDatabase(1);
+    db.routeSets = routeSets;
+    return expand({ ripe: db }, DB_CONFIG, ['ripe'], name, 4);
+};
+
+var routes = function(result) {
+    return result.routes.map(function(route) {
+        return ip2str(route.prefix) + (route.ge !== undefined ? ' ' + route.ge + '-' + route.le : '');
+    });
+};
+
+test('expand: stacked range operators apply as the more specific range', function() {
+    var result = expandSets({
+        'RS-A': ['RS-B^+'],
+        'RS-B': ['RS-C^20-24'],
+        'RS-C': ['10.0.0.0/16', '10.1.0.0/22']
+    }, 'RS-A');
+    assert.deepStrictEqual(routes(result), ['10.0.0.0/16 20-32', '10.1.0.0/22 22-32']);
+    assert.deepStrictEqual(result.macros, ['RS-B', 'RS-C']);
+});
+
+test('expand: route-sets looping through a range operator are expanded once per range', function() {
+    var result = expandSets({
+        'RS-A': ['RS-B^+'],
+        'RS-B': ['RS-A', '10.0.0.0/24']
+    }, 'RS-A');
+    assert.deepStrictEqual(routes(result), ['10.0.0.0/24 24-32']);
+    assert.deepStrictEqual(result.macros, ['RS-B', 'RS-A']);
+});
+
+test('expand: loops through several operators end as well', function() {
+    var result = expandSets({
+        'RS-A': ['RS-B^24', '10.0.0.0/16'],
+        'RS-B': ['RS-A^-', 'RS-B^+', '10.1.0.0/16']
+    }, 'RS-A');
+    var distinct = routes(result).filter(function(route, i, all) {
+        return all.indexOf(route) == i;
+    });
+    assert.deepStrictEqual(distinct.sort(), ['10.0.0.0/16', '10.0.0.0/16 24-32', '10.1.0.0/16 24-24', '10.1.0.0/16 24-32']);
+});
@@ -0,0 +1,72 @@
+/*
+Tests of downloads (lib/fetch.js) over HTTP and from file:// URLs.
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    http = require('http'),
+    os = require('os'),
+    path = require('path'),
+    fetch = require('../lib/fetch');
+
+// 8 MB of random data, many times the buffer of a write stream
+var BODY = crypto.randomBytes(8 * 1024 * 1024);
+
+var tempDir = function() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'tinyirrdbcache-test-'));
+};
+
+// HTTP server answering every request with body, announcing length bytes
+var serve = function(body, length, cb) {
+    var server = http.createServer(function(req, res) {
+        res.setHeader('Content-Length', length);
+        if (length == body.length) return res.end(body);
+        // Lie about the length and close early
+        res.write(body);
+        res.destroy();
+    });
+    server.listen(0, '127.0.0.1', function() {
+        cb('http://127.0.0.1:' + server.address().port + '/dump.db', server);
+    });
+};
+
+test('download: a large HTTP transfer arrives complete', function(t, done) {
+    var dir = tempDir();
+    serve(BODY, BODY.length, function(url, server) {
+        fetch.download(url, path.join(dir, 'out'), { timeout: 5000 }, function(err, bytes) {
+            assert.ifError(err);
+            assert.strictEqual(bytes, BODY.length);
+            assert.ok(fs.readFileSync(path.join(dir, 'out')).equals(BODY));
+            server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+            done();
+        });
+    });
+});
+
+test('download: a large file:// transfer arrives complete', function(t, done) {
+    var dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'in'), BODY);
+    fetch.download('file://' + path.join(dir, 'in'), path.join(dir, 'out'), {}, function(err, bytes) {
+        assert.ifError(err);
+        assert.strictEqual(bytes, BODY.length);
+        assert.ok(fs.readFileSync(path.join(dir, 'out')).equals(BODY));
+        fs.rmSync(dir, { recursive: true, force: true });
+        done();
+    });
+});
+
+test('download: a transfer shorter than announced is an error', function(t, done) {
+    var dir = tempDir();
+    serve(BODY.slice(0, 1000), 2000, function(url, server) {
+        fetch.download(url, path.join(dir, 'out'), { timeout: 5000 }, function(err) {
+            assert.ok(err);
+            server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+            done();
+        });
+    });
+});
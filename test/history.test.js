@@ -0,0 +1,72 @@
+/*
+Tests of pruning the history journal (lib/history.js).
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    History = require('../lib/history').History;
+
+// A history with two snapshots from 10s ago, the first of them expired, and
+// journal entries from before and after the second one
+var oldHistory = function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyirrdbcache-test-'));
+    var time = Date.now() - 10000;
+    fs.writeFileSync(path.join(dir, '1-' + time + '.tiny'), '');
+    fs.writeFileSync(path.join(dir, '2-' + (time + 10) + '.tiny'), '');
+    fs.writeFileSync(path.join(dir, 'journal'), [
+        { serial: 2, time: time + 5, action: 'ADD', object: ['as-set: AS-OLD'] },
+        { serial: 3, time: time + 20, action: 'ADD', object: ['as-set: AS-NEW'] }
+    ].map(function(entry) {
+        return JSON.stringify(entry) + '\n';
+    }).join(''));
+    var history = new History(dir, 1000, 86400000);
+    history.cleanup = function() {
+        history.journal.end();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    return history;
+};
+
+var journal = function(history) {
+    return fs.readFileSync(path.join(history.dir, 'journal'), 'utf8').trim().split('\n').map(function(line) {
+        return JSON.parse(line).object[0];
+    });
+};
+
+test('prune: drops expired snapshots and the journal entries before the oldest kept one', function(t, done) {
+    var history = oldHistory();
+    history.prune(function(err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(history.snapshots.map(function(snapshot) {
+            return snapshot.serial;
+        }), [2]);
+        // Updates recorded meanwhile are appended after the kept entries
+        history.record(4, false, ['as-set: AS-LATER']);
+        history.journal.end(function() {
+            assert.deepStrictEqual(journal(history), ['as-set: AS-NEW', 'as-set: AS-LATER']);
+            history.cleanup();
+            done();
+        });
+    });
+});
+
+test('prune: a journal that can\'t be rewritten is kept, and cb is called once', function(t, done) {
+    var history = oldHistory();
+    // Writing the new journal fails
+    fs.mkdirSync(path.join(history.dir, 'journal.tmp'));
+    var calls = [];
+    history.prune(function(err) {
+        calls.push(err);
+    });
+    setTimeout(function() {
+        assert.strictEqual(calls.length, 1);
+        assert.ok(calls[0]);
+        assert.deepStrictEqual(journal(history), ['as-set: AS-OLD', 'as-set: AS-NEW']);
+        history.cleanup();
+        done();
+    }, 200);
+});
@@ -0,0 +1,43 @@
+/*
+Mock NRTMv3 server for the tests: answers every query with a canned stream.
+
+    mockNrtm(function(query) { return '%START Version: 3 RIPE 100-101\n...'; }, function(err, server) {
+        server.address().port; server.queries; server.close();
+    });
+
+reply(query) returns the text to send, after which the connection is closed.
+*/
+
+var net = require('net');
+
+var mockNrtm = function(reply, cb) {
+    var server = net.createServer(function(socket) {
+        var buf = '';
+        socket.setEncoding('utf8');
+        socket.on('data', function(data) {
+            buf += data;
+            var end = buf.indexOf('\n');
+            if (end < 0) return;
+            var query = buf.substring(0, end).trim();
+            buf = '';
+            server.queries.push(query);
+            socket.end(reply(query));
+        });
+        socket.on('error', function() {
+        });
+    });
+    server.queries = [];
+    server.listen(0, '127.0.0.1', function() {
+        cb(null, server);
+    });
+};
+
+// Stream of operations after %START, e.g. op('ADD', 101, ['route: 10.0.0.0/24', 'origin: AS1'])
+var op = function(action, serial, lines) {
+    return action + ' ' + serial + '\n\n' + lines.join('\n') + '\n\n';
+};
+
+module.exports = {
+    mockNrtm: mockNrtm,
+    op: op
+};
@@ -0,0 +1,99 @@
+/*
+Static NRTMv4 repository for the tests: snapshot, delta and signed
+notification files written to a temp directory and served over HTTP.
+
+    mockNrtmv4(function(err, repo) {
+        var snapshot = repo.file('snapshot-1.json.gz', repo.sequence('snapshot', 'SESSION', 1, records), true);
+        repo.publish({ session_id: 'SESSION', version: 1, snapshot: snapshot, deltas: [] });
+        nrtmv4.update({ url: repo.url, publicKey: repo.publicKey, source: 'TEST' }, ...);
+        repo.close();
+    });
+*/
+
+var
+    crypto = require('crypto'),
+    fs = require('fs'),
+    http = require('http'),
+    os = require('os'),
+    path = require('path'),
+    zlib = require('zlib');
+
+var SOURCE = 'TEST';
+
+var b64url = function(buf) {
+    return buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+};
+
+// An Ed25519 key pair; publicKey as the base64 of the raw 32 byte key
+var keyPair = function() {
+    var pair = crypto.generateKeyPairSync('ed25519');
+    var der = pair.publicKey.export({ format: 'der', type: 'spki' });
+    return {
+        privateKey: pair.privateKey,
+        publicKey: der.slice(der.length - 32).toString('base64'),
+        publicKeyPem: pair.publicKey.export({ format: 'pem', type: 'spki' })
+    };
+};
+
+// JWS compact serialisation of payload, signed with privateKey
+var sign = function(payload, privateKey) {
+    var signed = b64url(new Buffer(JSON.stringify({ alg: 'EdDSA' }))) + '.' + b64url(new Buffer(JSON.stringify(payload)));
+    return signed + '.' + b64url(crypto.sign(null, new Buffer(signed), privateKey));
+};
+
+var mockNrtmv4 = function(cb) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyirrdbcache-nrtmv4-'));
+    var keys = keyPair();
+    var server = http.createServer(function(req, res) {
+        var file = path.join(dir, path.basename(req.url));
+        fs.readFile(file, function(err, buf) {
+            if (err) {
+                res.statusCode = 404;
+                return res.end();
+            }
+            res.setHeader('Content-Length', buf.length);
+            res.end(buf);
+        });
+    });
+    var repo = {
+        source: SOURCE,
+        keys: keys,
+        publicKey: keys.publicKey,
+        requests: [],
+        // JSON text sequence of a snapshot or delta file: the header, then records
+        sequence: function(type, session, version, records) {
+            var header = { nrtm_version: 4, type: type, source: SOURCE, session_id: session, version: version };
+            return [header].concat(records).map(function(record) {
+                return '\x1e' + JSON.stringify(record) + '\n';
+            }).join('');
+        },
+        // Write a file, gzipped if asked to; returns { url, hash } for the notification file
+        file: function(name, content, gzip) {
+            var buf = gzip ? zlib.gzipSync(new Buffer(content)) : new Buffer(content);
+            fs.writeFileSync(path.join(dir, name), buf);
+            return { url: name, hash: crypto.createHash('sha256').update(buf).digest('hex') };
+        },
+        // Sign and write the notification file; privateKey defaults to the repository's
+        publish: function(fields, privateKey) {
+            var unf = { nrtm_version: 4, type: 'notification', source: SOURCE, timestamp: new Date().toISOString() };
+            for (var key in fields) unf[key] = fields[key];
+            fs.writeFileSync(path.join(dir, 'notification.jose'), sign(unf, privateKey || keys.privateKey));
+        },
+        close: function() {
+            server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+    server.on('request', function(req) {
+        repo.requests.push(path.basename(req.url));
+    });
+    server.listen(0, '127.0.0.1', function() {
+        repo.url = 'http://127.0.0.1:' + server.address().port + '/notification.jose';
+        cb(null, repo);
+    });
+};
+
+module.exports = {
+    mockNrtmv4: mockNrtmv4,
+    keyPair: keyPair
+};
@@ -0,0 +1,241 @@
+/*
+Tests of the NRTMv3 client (lib/nrtm.js) and how the cache applies its
+updates, against a mock server (test/mock-nrtm.js).
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    nrtm = require('../lib/nrtm'),
+    TinyIRRDBCache = require('../lib/cache').TinyIRRDBCache,
+    newDatabase = require('../lib/cache').newDatabase,
+    str2ip = require('../lib/address').str2ip,
+    mockNrtm = require('./mock-nrtm').mockNrtm,
+    op = require('./mock-nrtm').op;
+
+var ROUTE1 = ['route: 10.0.0.0/24', 'origin: AS1', 'source: RIPE'];
+var ROUTE2 = ['route: 10.0.1.0/24', 'origin: AS1', 'source: RIPE'];
+var ROUTE3 = ['route: 10.0.2.0/24', 'origin: AS2', 'source: RIPE'];
+
+// Run nrtm.fetch from serial against a mock server sending stream;
+// cb(err, result, operations, queries)
+var fetchFrom = function(serial, stream, cb) {
+    mockNrtm(function() {
+        return stream;
+    }, function(err, server) {
+        var ops = [];
+        nrtm.fetch({ host: '127.0.0.1', port: server.address().port, source: 'RIPE', serial: serial, timeout: 5000 }, function(operation) {
+            ops.push(operation);
+        }, function(err, res) {
+            server.close();
+            cb(err, res, ops, server.queries);
+        });
+    });
+};
+
+test('fetch: asks for the updates after our serial and reports each operation', function(t, done) {
+    var stream = '%START Version: 3 RIPE 100-102\n\n' + op('ADD', 100, ROUTE3) + op('ADD', 101, ROUTE1) + op('DEL', 102, ROUTE3) + '%END RIPE\n';
+    fetchFrom(100, stream, function(err, res, ops, queries) {
+        assert.ifError(err);
+        assert.deepStrictEqual(queries, ['-g RIPE:3:100-LAST']);
+        // The operation for serial 100 is already applied locally
+        assert.deepStrictEqual(ops, [
+            { action: 'ADD', serial: 101, object: ROUTE1 },
+            { action: 'DEL', serial: 102, object: ROUTE3 }
+        ]);
+        assert.deepStrictEqual(res, { serial: 102, added: 1, deleted: 1 });
+        done();
+    });
+});
+
+test('fetch: a serial gap is an ENRTMGAP error, after the operations before it', function(t, done) {
+    var stream = '%START Version: 3 RIPE 100-104\n\n' + op('ADD', 101, ROUTE1) + op('ADD', 103, ROUTE2) + '%END RIPE\n';
+    fetchFrom(100, stream, function(err, res, ops) {
+        assert.strictEqual(err.code, 'ENRTMGAP');
+        assert.match(err.message, /expected 102, got 103/);
+        assert.strictEqual(ops.length, 1);
+        assert.strictEqual(res.serial, 101);
+        done();
+    });
+});
+
+test('fetch: a %START range beginning after our next serial is a gap', function(t, done) {
+    fetchFrom(100, '%START Version: 3 RIPE 150-200\n\n' + op('ADD', 150, ROUTE1) + '%END RIPE\n', function(err, res, ops) {
+        assert.strictEqual(err.code, 'ENRTMGAP');
+        assert.strictEqual(ops.length, 0);
+        assert.strictEqual(res.serial, 100);
+        done();
+    });
+});
+
+test('fetch: %ERROR naming a range we are outside of is a gap', function(t, done) {
+    fetchFrom(100, '%ERROR:401: invalid range: Not within 150-200\n', function(err) {
+        assert.strictEqual(err.code, 'ENRTMGAP');
+        assert.match(err.message, /no longer available/);
+        fetchFrom(300, '%% ERROR: serial(s) 300-LAST don\'t exist, available 150-200\n', function(err) {
+            assert.strictEqual(err.code, 'ENRTMGAP');
+            assert.match(err.message, /ahead of the server/);
+            done();
+        });
+    });
+});
+
+test('fetch: other %ERRORs are plain errors', function(t, done) {
+    fetchFrom(100, '%ERROR:403: access denied\n', function(err, res) {
+        assert.strictEqual(err.code, undefined);
+        assert.match(err.message, /Server error: ERROR:403: access denied/);
+        assert.strictEqual(res.serial, 100);
+        done();
+    });
+});
+
+test('fetch: a stream without %END is an error', function(t, done) {
+    fetchFrom(100, '%START Version: 3 RIPE 100-101\n\n' + op('ADD', 101, ROUTE1), function(err, res) {
+        assert.match(err.message, /closed before %END/);
+        assert.strictEqual(res.serial, 101);
+        done();
+    });
+});
+
+// A cache with database ripe at serial 100 holding ROUTE1 and ROUTE3, mirrored
+// from the mock server. Exports are only counted.
+var mirror = function(server) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyirrdbcache-test-'));
+    var cache = new TinyIRRDBCache({
+        cacheDir: dir,
+        databases: {
+            ripe: { serial: 'file://' + path.join(dir, 'RIPE.CURRENTSERIAL'), realtimeHost: '127.0.0.1', realtimePort: server.address().port, intName: 'RIPE' }
+        }
+    });
+    cache.exports = 0;
+    cache.exportDB = function() {
+        cache.exports++;
+    };
+    cache.databases.ripe = newDatabase(100);
+    cache.resetTries('ripe');
+    cache.parsePacket(ROUTE1, 'ripe');
+    cache.parsePacket(ROUTE3, 'ripe');
+    cache.cleanup = function() {
+        cache.stop();
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    return cache;
+};
+
+var prefixes = function(cache, asn) {
+    return (cache.databases.ripe.asnv4.get(asn) || []).map(function(prefix) {
+        return prefix.toString('hex');
+    });
+};
+
+// Call fn once the realtime session of the cache has ended
+var afterSession = function(cache, fn) {
+    var wait = function() {
+        if (cache.nrtm.ripe) return setTimeout(wait, 10);
+        fn();
+    };
+    setTimeout(wait, 10);
+};
+
+test('cache: ADD and DEL operations update the route objects', function(t, done) {
+    var stream = '%START Version: 3 RIPE 101-102\n\n' + op('ADD', 101, ROUTE2) + op('DEL', 102, ROUTE3) + '%END RIPE\n';
+    mockNrtm(function() {
+        return stream;
+    }, function(err, server) {
+        var cache = mirror(server);
+        assert.deepStrictEqual(prefixes(cache, 2), [str2ip('10.0.2.0/24').toString('hex')]);
+        cache.enableRT('ripe');
+        afterSession(cache, function() {
+            assert.strictEqual(cache.databases.ripe.serial, 102);
+            assert.deepStrictEqual(prefixes(cache, 1).sort(), [str2ip('10.0.0.0/24').toString('hex'), str2ip('10.0.1.0/24').toString('hex')]);
+            // All of AS2's route objects were deleted
+            assert.strictEqual(cache.databases.ripe.asnv4.get(2), undefined);
+            assert.strictEqual(cache.databases.ripe.pc, 2);
+            assert.strictEqual(cache.exports, 1);
+            cache.cleanup();
+            done();
+        });
+    });
+});
+
+test('cache: deleting a route object that does not exist leaves the others alone', function(t, done) {
+    var missing = ['route: 10.9.0.0/24', 'origin: AS2', 'source: RIPE'];
+    mockNrtm(function() {
+        return '%START Version: 3 RIPE 101-101\n\n' + op('DEL', 101, missing) + '%END RIPE\n';
+    }, function(err, server) {
+        var cache = mirror(server);
+        cache.enableRT('ripe');
+        afterSession(cache, function() {
+            assert.strictEqual(cache.databases.ripe.serial, 101);
+            assert.strictEqual(prefixes(cache, 2).length, 1);
+            assert.strictEqual(cache.databases.ripe.pc, 2);
+            cache.cleanup();
+            done();
+        });
+    });
+});
+
+test('cache: serials out of the server\'s range fall back to a fresh dump', function(t, done) {
+    mockNrtm(function() {
+        return '%ERROR:401: invalid range: Not within 150-200\n';
+    }, function(err, server) {
+        var cache = mirror(server);
+        var dumps = [];
+        cache.getDump = function(dbName, force) {
+            dumps.push([dbName, force]);
+        };
+        cache.enableRT('ripe');
+        afterSession(cache, function() {
+            assert.deepStrictEqual(dumps, [['ripe', true]]);
+            assert.strictEqual(cache.databases.ripe.serial, 100);
+            // No retry of the session; the dump takes over
+            assert.strictEqual(cache.retries.ripe, undefined);
+            cache.cleanup();
+            done();
+        });
+    });
+});
+
+test('cache: a serial gap in the stream keeps the updates before it, then falls back to a dump', function(t, done) {
+    mockNrtm(function() {
+        return '%START Version: 3 RIPE 101-103\n\n' + op('ADD', 101, ROUTE2) + op('DEL', 103, ROUTE3) + '%END RIPE\n';
+    }, function(err, server) {
+        var cache = mirror(server);
+        var dumps = [];
+        cache.getDump = function(dbName, force) {
+            dumps.push([dbName, force]);
+        };
+        cache.enableRT('ripe');
+        afterSession(cache, function() {
+            assert.deepStrictEqual(dumps, [['ripe', true]]);
+            assert.strictEqual(cache.databases.ripe.serial, 101);
+            assert.strictEqual(prefixes(cache, 1).length, 2);
+            assert.strictEqual(prefixes(cache, 2).length, 1);
+            cache.cleanup();
+            done();
+        });
+    });
+});
+
+test('cache: other server errors are retried later', function(t, done) {
+    mockNrtm(function() {
+        return '%ERROR:403: access denied\n';
+    }, function(err, server) {
+        var cache = mirror(server);
+        var dumps = [];
+        cache.getDump = function(dbName, force) {
+            dumps.push([dbName, force]);
+        };
+        cache.enableRT('ripe');
+        afterSession(cache, function() {
+            assert.deepStrictEqual(dumps, []);
+            assert.ok(cache.retries.ripe);
+            cache.cleanup();
+            done();
+        });
+    });
+});
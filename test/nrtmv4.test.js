@@ -0,0 +1,402 @@
+/*
+Tests of the NRTMv4 client (lib/nrtmv4.js) and how the cache applies its
+updates, against signed files served from a temp directory
+(test/mock-nrtmv4.js).
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    nrtmv4 = require('../lib/nrtmv4'),
+    TinyIRRDBCache = require('../lib/cache').TinyIRRDBCache,
+    str2ip = require('../lib/address').str2ip,
+    mockNrtmv4 = require('./mock-nrtmv4').mockNrtmv4,
+    keyPair = require('./mock-nrtmv4').keyPair;
+
+var ROUTE1 = 'route: 10.0.0.0/24\norigin: AS1\nsource: TEST';
+var ROUTE2 = 'route: 10.0.1.0/24\norigin: AS1\nsource: TEST';
+var ROUTE3 = 'route: 10.0.2.0/24\norigin: AS2\nsource: TEST';
+
+var add = function(object) {
+    return { action: 'add_modify', object: object };
+};
+
+var remove = function(objectClass, key) {
+    return { action: 'delete', object_class: objectClass, primary_key: key };
+};
+
+// Write a gzipped snapshot and a delta file per entry of deltas ({ version: records }),
+// then publish the notification file for them
+var publish = function(repo, session, snapshotVersion, objects, deltas) {
+    var snapshot = repo.file(session + '-snapshot-' + snapshotVersion + '.json.gz',
+        repo.sequence('snapshot', session, snapshotVersion, objects.map(function(object) {
+            return { object: object };
+        })), true);
+    snapshot.version = snapshotVersion;
+    var files = Object.keys(deltas).map(function(version) {
+        var delta = repo.file(session + '-delta-' + version + '.json', repo.sequence('delta', session, Number(version), deltas[version]));
+        delta.version = Number(version);
+        return delta;
+    });
+    var last = files.reduce(function(max, delta) {
+        return Math.max(max, delta.version);
+    }, snapshotVersion);
+    repo.publish({ session_id: session, version: last, snapshot: snapshot, deltas: files });
+};
+
+// Run nrtmv4.update from state against repo; cb(err, result, calls to the handlers)
+var updateFrom = function(repo, state, options, cb) {
+    var calls = [];
+    var opts = { url: repo.url, publicKey: repo.publicKey, source: 'TEST', timeout: 5000 };
+    for (var key in options) opts[key] = options[key];
+    nrtmv4.update(opts, state, {
+        snapshot: function(session, version) {
+            calls.push(['snapshot', session, version]);
+        },
+        add: function(lines, version) {
+            calls.push(['add', lines[0], version]);
+        },
+        remove: function(objectClass, key, version) {
+            calls.push(['remove', objectClass, key, version]);
+        },
+        version: function(version) {
+            calls.push(['version', version]);
+        }
+    }, function(err, res) {
+        cb(err, res, calls);
+    });
+};
+
+test('update: without a local copy, loads the snapshot, then the deltas after it', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 2, [ROUTE1, ROUTE3], {
+            2: [add(ROUTE3)],
+            3: [add(ROUTE2), remove('route', '10.0.2.0/24AS2')]
+        });
+        updateFrom(repo, null, {}, function(err, res, calls) {
+            assert.ifError(err);
+            assert.deepStrictEqual(calls, [
+                ['snapshot', 'S1', 2],
+                ['add', 'route: 10.0.0.0/24', 2],
+                ['add', 'route: 10.0.2.0/24', 2],
+                ['version', 2],
+                ['add', 'route: 10.0.1.0/24', 3],
+                ['remove', 'route', '10.0.2.0/24AS2', 3],
+                ['version', 3]
+            ]);
+            assert.deepStrictEqual(res, { snapshot: true, version: 3, deltas: 1 });
+            // Delta 2 is part of the snapshot and not downloaded
+            assert.deepStrictEqual(repo.requests, ['notification.jose', 'S1-snapshot-2.json.gz', 'S1-delta-3.json']);
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: the same session continues with the deltas, each change with its delta\'s version', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], {
+            2: [add(ROUTE2)],
+            3: [remove('route', '10.0.1.0/24AS1')],
+            4: [add(ROUTE3)]
+        });
+        updateFrom(repo, { session: 'S1', version: 2 }, {}, function(err, res, calls) {
+            assert.ifError(err);
+            assert.deepStrictEqual(calls, [
+                ['remove', 'route', '10.0.1.0/24AS1', 3],
+                ['version', 3],
+                ['add', 'route: 10.0.2.0/24', 4],
+                ['version', 4]
+            ]);
+            assert.deepStrictEqual(res, { snapshot: false, version: 4, deltas: 2 });
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: an up to date copy downloads nothing but the notification file', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], { 2: [add(ROUTE2)] });
+        updateFrom(repo, { session: 'S1', version: 2 }, {}, function(err, res, calls) {
+            assert.ifError(err);
+            assert.deepStrictEqual(calls, []);
+            assert.deepStrictEqual(res, { snapshot: false, version: 2, deltas: 0 });
+            assert.deepStrictEqual(repo.requests, ['notification.jose']);
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: a new session ID on the server reloads the snapshot', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S2', 1, [ROUTE1], { 2: [add(ROUTE2)] });
+        updateFrom(repo, { session: 'S1', version: 7 }, {}, function(err, res, calls) {
+            assert.ifError(err);
+            assert.deepStrictEqual(calls[0], ['snapshot', 'S2', 1]);
+            assert.deepStrictEqual(res, { snapshot: true, version: 2, deltas: 1 });
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: a local version the deltas no longer cover reloads the snapshot', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 5, [ROUTE1], { 5: [add(ROUTE1)], 6: [add(ROUTE2)] });
+        updateFrom(repo, { session: 'S1', version: 2 }, {}, function(err, res, calls) {
+            assert.ifError(err);
+            assert.deepStrictEqual(calls[0], ['snapshot', 'S1', 5]);
+            assert.deepStrictEqual(res, { snapshot: true, version: 6, deltas: 1 });
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: a local version ahead of the server reloads the snapshot', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], { 2: [add(ROUTE2)] });
+        updateFrom(repo, { session: 'S1', version: 5 }, {}, function(err, res, calls) {
+            assert.ifError(err);
+            assert.deepStrictEqual(calls[0], ['snapshot', 'S1', 1]);
+            assert.deepStrictEqual(res, { snapshot: true, version: 2, deltas: 1 });
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: the notification file signature is checked against the public key', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], {});
+        // The key may also be given as PEM
+        updateFrom(repo, null, { publicKey: repo.keys.publicKeyPem }, function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.version, 1);
+            updateFrom(repo, null, { publicKey: keyPair().publicKey }, function(err, res, calls) {
+                assert.match(err.message, /Invalid notification file signature/);
+                assert.deepStrictEqual(calls, []);
+                repo.close();
+                done();
+            });
+        });
+    });
+});
+
+test('update: a notification file signed with another key is rejected', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        repo.publish({ session_id: 'S1', version: 1, snapshot: repo.file('snapshot.json', repo.sequence('snapshot', 'S1', 1, [])), deltas: [] },
+            keyPair().privateKey);
+        updateFrom(repo, null, {}, function(err, res, calls) {
+            assert.match(err.message, /Invalid notification file signature/);
+            assert.deepStrictEqual(calls, []);
+            // Nothing is downloaded on the strength of an unverified file
+            assert.deepStrictEqual(repo.requests, ['notification.jose']);
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: a file that does not match its hash is an error, after the deltas before it', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], { 2: [add(ROUTE2)], 3: [add(ROUTE3)] });
+        // Changed after the notification file was signed
+        repo.file('S1-delta-3.json', repo.sequence('delta', 'S1', 3, [remove('route', '10.0.0.0/24AS1')]));
+        updateFrom(repo, { session: 'S1', version: 1 }, {}, function(err, res, calls) {
+            assert.match(err.message, /Hash mismatch for http:\/\/127\.0\.0\.1:[0-9]+\/S1-delta-3\.json/);
+            assert.deepStrictEqual(calls, [['add', 'route: 10.0.1.0/24', 2], ['version', 2]]);
+            assert.strictEqual(res.version, 2);
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: a snapshot that does not match its hash is an error before any change', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], {});
+        repo.file('S1-snapshot-1.json.gz', repo.sequence('snapshot', 'S1', 1, [{ object: ROUTE2 }]), true);
+        updateFrom(repo, null, {}, function(err, res, calls) {
+            assert.match(err.message, /Hash mismatch for .*S1-snapshot-1\.json\.gz/);
+            assert.deepStrictEqual(calls, []);
+            assert.strictEqual(res.snapshot, false);
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: a gap in the deltas is an error, after the deltas before it', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], { 2: [add(ROUTE2)], 4: [add(ROUTE3)] });
+        updateFrom(repo, { session: 'S1', version: 1 }, {}, function(err, res, calls) {
+            assert.match(err.message, /Missing delta 3/);
+            assert.deepStrictEqual(calls, [['add', 'route: 10.0.1.0/24', 2], ['version', 2]]);
+            repo.close();
+            done();
+        });
+    });
+});
+
+test('update: a delta file of another session is an error', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        publish(repo, 'S1', 1, [ROUTE1], {});
+        var delta = repo.file('other.json', repo.sequence('delta', 'S0', 2, [add(ROUTE2)]));
+        delta.version = 2;
+        repo.publish({ session_id: 'S1', version: 2, snapshot: { version: 1, url: 'S1-snapshot-1.json.gz', hash: '0' }, deltas: [delta] });
+        updateFrom(repo, { session: 'S1', version: 1 }, {}, function(err, res, calls) {
+            assert.match(err.message, /different source or session/);
+            assert.deepStrictEqual(calls, []);
+            assert.strictEqual(res.version, 1);
+            repo.close();
+            done();
+        });
+    });
+});
+
+// A cache mirroring database test from repo. Exports are only counted, and
+// what parsePacket would journal is kept in cache.journal.
+var mirror = function(repo) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyirrdbcache-test-'));
+    var cache = new TinyIRRDBCache({
+        cacheDir: dir,
+        downloads: { retries: 0, backoff: 1 },
+        databases: {
+            test: { serial: 'file://' + path.join(dir, 'TEST.CURRENTSERIAL'), realtimeType: 'nrtmv4', notificationUrl: repo.url, publicKey: repo.publicKey, intName: 'TEST' }
+        }
+    });
+    cache.exports = 0;
+    cache.exportDB = function() {
+        cache.exports++;
+    };
+    cache.journal = [];
+    cache.history.test = {
+        record: function(serial, remove, packet) {
+            cache.journal.push([serial, remove, packet[0]]);
+        },
+        reset: function() {
+            cache.journal = [];
+        }
+    };
+    cache.cleanup = function() {
+        cache.stop();
+        repo.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    return cache;
+};
+
+var prefixes = function(cache, asn) {
+    return (cache.databases.test.asnv4.get(asn) || []).map(function(prefix) {
+        return prefix.toString('hex');
+    }).sort();
+};
+
+var hex = function(prefix) {
+    return str2ip(prefix).toString('hex');
+};
+
+// Run one NRTMv4 update of the cache, then fn
+var updateCache = function(cache, fn) {
+    cache.updateNrtm4('test');
+    var wait = function() {
+        if (cache.nrtm.test) return setTimeout(wait, 10);
+        fn();
+    };
+    setTimeout(wait, 10);
+};
+
+test('cache: loads the snapshot, then applies deltas with their versions', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        var cache = mirror(repo);
+        publish(repo, 'S1', 1, [ROUTE1, ROUTE3], {});
+        updateCache(cache, function() {
+            var db = cache.databases.test;
+            assert.strictEqual(db.session, 'S1');
+            assert.strictEqual(db.serial, 1);
+            assert.deepStrictEqual(prefixes(cache, 2), [hex('10.0.2.0/24')]);
+            // The snapshot itself is not journaled
+            assert.deepStrictEqual(cache.journal, []);
+            publish(repo, 'S1', 1, [ROUTE1, ROUTE3], {
+                2: [add(ROUTE2)],
+                3: [remove('route', '10.0.2.0/24AS2')]
+            });
+            updateCache(cache, function() {
+                assert.strictEqual(cache.databases.test, db);
+                assert.strictEqual(db.serial, 3);
+                assert.deepStrictEqual(prefixes(cache, 1), [hex('10.0.0.0/24'), hex('10.0.1.0/24')]);
+                assert.strictEqual(db.asnv4.get(2), undefined);
+                assert.deepStrictEqual(cache.journal, [
+                    [2, false, 'route: 10.0.1.0/24'],
+                    [3, true, 'route: 10.0.2.0/24']
+                ]);
+                assert.strictEqual(cache.exports, 2);
+                cache.cleanup();
+                done();
+            });
+        });
+    });
+});
+
+test('cache: rejected objects are not journaled', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        var cache = mirror(repo);
+        publish(repo, 'S1', 1, [ROUTE1], {});
+        updateCache(cache, function() {
+            publish(repo, 'S1', 1, [ROUTE1], {
+                2: [add('route: 10.0.0.0/33\norigin: AS1\nsource: TEST'), add('route: 10.0.3.0/24\norigin: ASX\nsource: TEST'), add(ROUTE2)]
+            });
+            updateCache(cache, function() {
+                assert.strictEqual(cache.databases.test.serial, 2);
+                assert.deepStrictEqual(cache.journal, [[2, false, 'route: 10.0.1.0/24']]);
+                cache.cleanup();
+                done();
+            });
+        });
+    });
+});
+
+test('cache: a new session replaces the database with the new snapshot', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        var cache = mirror(repo);
+        publish(repo, 'S1', 1, [ROUTE1, ROUTE3], {});
+        updateCache(cache, function() {
+            var old = cache.databases.test;
+            publish(repo, 'S2', 1, [ROUTE2], {});
+            updateCache(cache, function() {
+                assert.notStrictEqual(cache.databases.test, old);
+                assert.strictEqual(cache.databases.test.session, 'S2');
+                assert.deepStrictEqual(prefixes(cache, 1), [hex('10.0.1.0/24')]);
+                assert.strictEqual(cache.databases.test.asnv4.get(2), undefined);
+                cache.cleanup();
+                done();
+            });
+        });
+    });
+});
+
+test('cache: a snapshot that fails to load keeps the previous data', function(t, done) {
+    mockNrtmv4(function(err, repo) {
+        var cache = mirror(repo);
+        publish(repo, 'S1', 1, [ROUTE1], {});
+        updateCache(cache, function() {
+            var old = cache.databases.test;
+            publish(repo, 'S2', 1, [ROUTE2], {});
+            repo.file('S2-snapshot-1.json.gz', repo.sequence('snapshot', 'S2', 1, [{ object: ROUTE3 }]), true);
+            updateCache(cache, function() {
+                assert.strictEqual(cache.databases.test, old);
+                assert.strictEqual(old.session, 'S1');
+                assert.deepStrictEqual(prefixes(cache, 1), [hex('10.0.0.0/24')]);
+                assert.strictEqual(cache.loading.test, undefined);
+                cache.cleanup();
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/*
+Tests of lib/store.js: the packed PrefixStore with its overlay, and intern().
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    store = require('../lib/store'),
+    PrefixStore = store.PrefixStore,
+    str2ip = require('../lib/address').str2ip;
+
+var P1 = '10.0.0.0/24';
+var P2 = '10.0.1.0/24';
+var P3 = '192.0.2.0/24';
+
+var ip = function(prefix) {
+    return str2ip(prefix);
+};
+
+// Prefixes of an origin as hex strings, in order, or undefined
+var hexes = function(s, asn) {
+    var res = s.get(asn);
+    return res && res.map(function(prefix) {
+        return prefix.toString('hex');
+    });
+};
+
+var hex = function(prefix) {
+    return ip(prefix).toString('hex');
+};
+
+// Every route object as 'asn prefix', sorted
+var all = function(s) {
+    var res = [];
+    s.forEach(function(prefix, asn) {
+        res.push(asn + ' ' + prefix.toString('hex'));
+    });
+    return res.sort();
+};
+
+// A store with AS1: P1, P2 and AS2: P3, packed
+var filled = function() {
+    var s = new PrefixStore(5);
+    s.add(1, ip(P1));
+    s.add(1, ip(P2));
+    s.add(2, ip(P3));
+    s.compact();
+    return s;
+};
+
+test('PrefixStore: get and size before and after compacting', function() {
+    var s = new PrefixStore(5);
+    assert.strictEqual(s.get(1), undefined);
+    assert.strictEqual(s.size(1), 0);
+    s.add(1, ip(P1));
+    s.add('1', ip(P2));
+    assert.deepStrictEqual(hexes(s, 1), [hex(P1), hex(P2)]);
+    assert.strictEqual(s.size(1), 2);
+    s.compact();
+    assert.deepStrictEqual(hexes(s, '1'), [hex(P1), hex(P2)]);
+    assert.strictEqual(s.size(1), 2);
+    assert.strictEqual(s.count, 2);
+    // Not an ASN
+    assert.strictEqual(s.get('foo'), undefined);
+    assert.strictEqual(s.get('01'), undefined);
+    assert.strictEqual(s.size('foo'), 0);
+});
+
+test('PrefixStore: additions after compacting go to the overlay', function() {
+    var s = filled();
+    s.add(1, ip(P3));
+    s.add(3, ip(P1));
+    assert.deepStrictEqual(hexes(s, 1), [hex(P1), hex(P2), hex(P3)]);
+    assert.deepStrictEqual(hexes(s, 3), [hex(P1)]);
+    assert.strictEqual(s.count, 5);
+    s.compact();
+    assert.deepStrictEqual(Array.prototype.slice.call(s.asns), [1, 2, 3]);
+    assert.deepStrictEqual(hexes(s, 1), [hex(P1), hex(P2), hex(P3)]);
+    assert.strictEqual(s.count, 5);
+});
+
+test('PrefixStore: remove from the packed data and the overlay', function() {
+    var s = filled();
+    s.add(2, ip(P1));
+    assert.strictEqual(s.remove(1, ip(P1)), true);
+    assert.strictEqual(s.remove(1, ip(P1)), false);
+    assert.strictEqual(s.remove(2, ip(P1)), true);
+    assert.strictEqual(s.remove(9, ip(P1)), false);
+    assert.strictEqual(s.remove(1, ip(P3)), false);
+    assert.deepStrictEqual(hexes(s, 1), [hex(P2)]);
+    assert.strictEqual(s.size(1), 1);
+    assert.deepStrictEqual(hexes(s, 2), [hex(P3)]);
+    assert.strictEqual(s.count, 2);
+    assert.deepStrictEqual(all(s), ['1 ' + hex(P2), '2 ' + hex(P3)]);
+    // Removing all prefixes of an origin removes the origin
+    assert.strictEqual(s.remove(2, ip(P3)), true);
+    assert.strictEqual(s.get(2), undefined);
+    assert.strictEqual(s.size(2), 0);
+    s.compact();
+    assert.deepStrictEqual(Array.prototype.slice.call(s.asns), [1]);
+    assert.strictEqual(s.data.length, 5);
+});
+
+test('PrefixStore: packed() merges the overlay', function() {
+    var s = filled();
+    s.remove(1, ip(P1));
+    s.add(0, ip(P2));
+    var packed = s.packed();
+    assert.deepStrictEqual(Array.prototype.slice.call(packed.asns), [0, 1, 2]);
+    assert.deepStrictEqual(Array.prototype.slice.call(packed.offsets), [0, 1, 2, 3]);
+    assert.strictEqual(packed.data.toString('hex'), hex(P2) + hex(P2) + hex(P3));
+    // Nothing left to merge: the same arrays again
+    assert.strictEqual(s.packed().data, packed.data);
+});
+
+test('PrefixStore: load() keeps one of repeated prefixes of an origin', function() {
+    var s = new PrefixStore(5);
+    var data = Buffer.concat([ip(P1), ip(P2), ip(P1), ip(P1), ip(P3), ip(P1)]);
+    assert.strictEqual(s.load(new Uint32Array([1, 2]), new Uint32Array([0, 4, 6]), data), 2);
+    assert.deepStrictEqual(hexes(s, 1), [hex(P1), hex(P2)]);
+    // The same prefix of another origin is another route object
+    assert.deepStrictEqual(hexes(s, 2), [hex(P3), hex(P1)]);
+    assert.strictEqual(s.count, 4);
+    // Removing it leaves no copy behind, and the packed data matches the offsets
+    assert.strictEqual(s.remove(1, ip(P1)), true);
+    assert.strictEqual(s.remove(1, ip(P1)), false);
+    assert.deepStrictEqual(hexes(s, 1), [hex(P2)]);
+    var packed = s.packed();
+    assert.strictEqual(s.count, 3);
+    assert.strictEqual(packed.data.length, packed.offsets[packed.asns.length] * 5);
+});
+
+test('PrefixStore: compact() sizes the data by what it keeps', function() {
+    var s = new PrefixStore(5);
+    // Repeated prefixes added one by one, as from a version 1 to 4 cache file
+    s.add(1, ip(P1));
+    s.add(1, ip(P1));
+    s.add(1, ip(P2));
+    s.compact();
+    assert.strictEqual(s.count, 3);
+    // One removal hides both copies
+    s.remove(1, ip(P1));
+    var packed = s.packed();
+    assert.strictEqual(s.count, 1);
+    assert.strictEqual(packed.data.length, 5);
+    assert.deepStrictEqual(Array.prototype.slice.call(packed.offsets), [0, 1]);
+    // And with unique, repeats are dropped and counted
+    s.add(1, ip(P2));
+    s.add(1, ip(P3));
+    assert.strictEqual(s.compact(true), 1);
+    assert.deepStrictEqual(hexes(s, 1), [hex(P2), hex(P3)]);
+    assert.strictEqual(s.count, 2);
+});
+
+test('PrefixStore: IPv6 prefixes are 17 bytes wide', function() {
+    var s = new PrefixStore(17);
+    s.add(1, ip('2001:db8::/32'));
+    s.add(1, ip('2001:db8:1::/48'));
+    s.compact();
+    assert.strictEqual(s.data.length, 34);
+    assert.deepStrictEqual(hexes(s, 1), [hex('2001:db8::/32'), hex('2001:db8:1::/48')]);
+});
+
+test('intern: returns one copy of equal strings, also for inherited property names', function() {
+    var a = ['AS-', 'FOO'].join('');
+    assert.strictEqual(store.intern(a), 'AS-FOO');
+    assert.strictEqual(store.intern('constructor'), 'constructor');
+    assert.strictEqual(store.intern('__proto__'), '__proto__');
+});
@@ -0,0 +1,45 @@
+/*
+Tests of the whois server (lib/whois.js) over a local connection.
+*/
+
+var
+    test = require('node:test'),
+    assert = require('assert'),
+    net = require('net'),
+    whois = require('../lib/whois'),
+    newDatabase = require('../lib/cache').newDatabase;
+
+// Send text to a whois server on a database ripe at serial 42; cb(everything
+// the server sent until it closed the connection)
+var converse = function(text, cb) {
+    var server = whois.createServer({ ripe: newDatabase(42) }, { ripe: { intName: 'RIPE' } });
+    server.listen(0, '127.0.0.1', function() {
+        var conn = net.createConnection(server.address().port, '127.0.0.1');
+        var received = '';
+        conn.setEncoding('utf8');
+        conn.on('data', function(data) {
+            received += data;
+        });
+        conn.on('error', function() {
+        });
+        conn.on('close', function() {
+            server.close();
+            cb(received);
+        });
+        conn.write(text);
+    });
+};
+
+test('whois: answers a query and closes the connection', function(t, done) {
+    converse('!jRIPE\n', function(received) {
+        assert.strictEqual(received, 'A13\nRIPE:N:42-42\nC\n');
+        done();
+    });
+});
+
+test('whois: a line longer than the limit closes the connection', function(t, done) {
+    converse('!i' + new Array(70000).join('X'), function(received) {
+        assert.strictEqual(received, 'F Query too long\n');
+        done();
+    });
+});